@@ -4,12 +4,33 @@ import { Sun, Moon } from "lucide-react"; // Added imports
 import BillPage from "./Pages/BillPage.jsx";
 import FollowUpPage from "./Pages/FollowUpPage.jsx";
 import PhotoUploadApp from "./Pages/UploadImages.jsx";
+import ImportBills from "./Pages/ImportBills.jsx";
+import BillDetail from "./Pages/BillDetail.jsx";
+import TrashPage from "./Pages/TrashPage.jsx";
+import ConsumersPage from "./Pages/ConsumersPage.jsx";
+import DashboardPage from "./Pages/DashboardPage.jsx";
+import LateFeesPage from "./Pages/LateFeesPage.jsx";
+import AgendaPage from "./Pages/AgendaPage.jsx";
+import UserBadge from "./Components/UserBadge.jsx";
+import SyncIndicator from "./Components/SyncIndicator.jsx";
+import { installOfflineSupport } from "./Utils/offline.js";
+import { USER_HEADER, getUserName } from "./Utils/currentUser.js";
 import './App.css'
 import axios from 'axios';
 
 // ✅ Global Axios Configuration
 axios.defaults.baseURL = import.meta.env.VITE_BACKEND_URL || "";
 
+// ✅ Tell the backend who made each change (feeds the per-bill activity log)
+axios.interceptors.request.use((config) => {
+  const name = getUserName();
+  if (name) config.headers.set(USER_HEADER, name);
+  return config;
+});
+
+// ✅ Cache reads and queue edits in IndexedDB when the backend can't be reached
+installOfflineSupport();
+
 function App() {
   const [theme, setTheme] = useState(localStorage.getItem("theme") || "light");
 
@@ -46,6 +67,46 @@ function App() {
                 >
                   📋 Bills
                 </NavLink>
+                <NavLink
+                  to="/dashboard"
+                  className={({ isActive }) =>
+                    `px-4 py-2 rounded-lg font-medium transition-all flex items-center gap-2 ${isActive
+                      ? "bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400"
+                      : "text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"}`
+                  }
+                >
+                  📊 Dashboard
+                </NavLink>
+                <NavLink
+                  to="/late-fees"
+                  className={({ isActive }) =>
+                    `px-4 py-2 rounded-lg font-medium transition-all flex items-center gap-2 ${isActive
+                      ? "bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400"
+                      : "text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"}`
+                  }
+                >
+                  ⚠️ Late Fees
+                </NavLink>
+                <NavLink
+                  to="/agenda"
+                  className={({ isActive }) =>
+                    `px-4 py-2 rounded-lg font-medium transition-all flex items-center gap-2 ${isActive
+                      ? "bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400"
+                      : "text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"}`
+                  }
+                >
+                  📅 Agenda
+                </NavLink>
+                <NavLink
+                  to="/consumers"
+                  className={({ isActive }) =>
+                    `px-4 py-2 rounded-lg font-medium transition-all flex items-center gap-2 ${isActive
+                      ? "bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400"
+                      : "text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"}`
+                  }
+                >
+                  👥 Consumers
+                </NavLink>
                 <NavLink
                   to="/pipeline"
                   className={({ isActive }) =>
@@ -66,8 +127,31 @@ function App() {
                 >
                   📷 Upload
                 </NavLink>
+                <NavLink
+                  to="/import"
+                  className={({ isActive }) =>
+                    `px-4 py-2 rounded-lg font-medium transition-all flex items-center gap-2 ${isActive
+                      ? "bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400"
+                      : "text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"}`
+                  }
+                >
+                  📥 Import
+                </NavLink>
+                <NavLink
+                  to="/trash"
+                  className={({ isActive }) =>
+                    `px-4 py-2 rounded-lg font-medium transition-all flex items-center gap-2 ${isActive
+                      ? "bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400"
+                      : "text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"}`
+                  }
+                >
+                  🗑️ Trash
+                </NavLink>
               </div>
 
+              <SyncIndicator />
+              <UserBadge />
+
                {/* 🌙 Global Theme Toggle */}
                <button
                 onClick={toggleTheme}
@@ -84,7 +168,14 @@ function App() {
         <Routes>
           <Route path="/" element={<BillPage theme={theme} />} />
           <Route path="/pipeline" element={<FollowUpPage />} />
+          <Route path="/consumers" element={<ConsumersPage />} />
+          <Route path="/dashboard" element={<DashboardPage />} />
+          <Route path="/late-fees" element={<LateFeesPage />} />
+          <Route path="/agenda" element={<AgendaPage />} />
           <Route path="/upload" element={<PhotoUploadApp />} />
+          <Route path="/import" element={<ImportBills />} />
+          <Route path="/bills/:id" element={<BillDetail />} />
+          <Route path="/trash" element={<TrashPage />} />
         </Routes>
       </div>
     </Router>
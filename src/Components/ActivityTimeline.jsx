@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from "react";
+import { History, Loader, PlusCircle, RefreshCw, Flag, ArrowRightLeft, MessageSquare, Trash2, RotateCcw, Send, BellRing, PenLine } from "lucide-react";
+import { fetchActivity } from "../Utils/activity.js";
+import { REMINDER_CHANNELS } from "../Utils/reminders.js";
+import { formatFollowUp } from "../Utils/followUps.js";
+import { EDITABLE_FIELDS } from "../Utils/billFields.js";
+
+const STATUS_LABELS = { pending: "Pending", inprocess: "In Process", success: "Success", fail: "Fail" };
+const PRIORITY_LABELS = { p1: "🔥 P1", p2: "⚡ P2", p3: "🔹 P3", none: "None" };
+
+const ENTRY_STYLES = {
+  created: { icon: PlusCircle, color: "bg-green-500" },
+  status: { icon: RefreshCw, color: "bg-blue-500" },
+  priority: { icon: Flag, color: "bg-orange-500" },
+  stage: { icon: ArrowRightLeft, color: "bg-purple-500" },
+  note: { icon: MessageSquare, color: "bg-gray-500" },
+  deleted: { icon: Trash2, color: "bg-red-500" },
+  restored: { icon: RotateCcw, color: "bg-green-500" },
+  reminder: { icon: Send, color: "bg-emerald-600" },
+  followUp: { icon: BellRing, color: "bg-amber-500" },
+  corrected: { icon: PenLine, color: "bg-amber-600" },
+};
+
+const describe = (entry, stageName) => {
+  switch (entry.type) {
+    case "created":
+      return entry.source === "import"
+        ? "Imported from spreadsheet"
+        : entry.source === "upload"
+          ? "Created from photo upload"
+          : "Bill created";
+    case "status":
+      return `Status ${STATUS_LABELS[entry.from] || entry.from || "—"} → ${STATUS_LABELS[entry.to] || entry.to}`;
+    case "priority":
+      return `Priority ${PRIORITY_LABELS[entry.from || "none"]} → ${PRIORITY_LABELS[entry.to || "none"]}`;
+    case "stage":
+      return `Moved ${entry.from ? `from ${stageName(entry.from)} ` : ""}to ${stageName(entry.to)}`;
+    case "deleted":
+      return "Moved to Trash";
+    case "restored":
+      return "Restored from Trash";
+    case "reminder":
+      return `Reminder sent (${REMINDER_CHANNELS[entry.action] || entry.action || "message"}${entry.to ? `, “${entry.to}”` : ""})`;
+    case "followUp":
+      return entry.to ? `Follow-up set for ${formatFollowUp(entry.to)}` : "Follow-up cleared";
+    case "corrected":
+      return `Corrected ${EDITABLE_FIELDS.find((f) => f.key === entry.action)?.label || entry.action}: ${entry.from || "—"} → ${entry.to || "—"}`;
+    case "note":
+      return entry.action === "deleted" ? "Note deleted" : entry.action === "edited" ? "Note edited" : "Note added";
+    default:
+      return entry.type;
+  }
+};
+
+// ✅ Newest-first activity log for one bill. Bump `refreshKey` after a change to reload it.
+const ActivityTimeline = ({ billId, stages = [], refreshKey }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchActivity(billId)
+      .then((data) => {
+        if (cancelled) return;
+        setEntries(data);
+        setFailed(false);
+      })
+      .catch((err) => {
+        console.error("❌ Error fetching activity:", err);
+        if (!cancelled) setFailed(true);
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [billId, refreshKey]);
+
+  const stageName = (id) => stages.find((s) => s._id === id)?.name || "a deleted stage";
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold mb-3 flex items-center gap-2 text-gray-700 dark:text-gray-300">
+        <History className="w-4 h-4" /> Activity
+        {loading && <Loader className="w-3 h-3 animate-spin" />}
+      </h3>
+
+      {failed ? (
+        <p className="text-sm text-red-500">Could not load the activity log.</p>
+      ) : !entries.length && !loading ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No activity recorded yet.</p>
+      ) : (
+        <ol className="relative border-l-2 border-gray-200 dark:border-gray-700 ml-3 space-y-4">
+          {entries.map((entry) => {
+            const { icon: Icon, color } = ENTRY_STYLES[entry.type] || ENTRY_STYLES.note;
+            return (
+              <li key={entry._id || `${entry.type}-${entry.at}`} className="ml-6">
+                <span className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full text-white ${color}`}>
+                  <Icon className="w-3 h-3" />
+                </span>
+                <p className="text-sm font-medium text-gray-900 dark:text-white">{describe(entry, stageName)}</p>
+                {entry.type === "note" && entry.action !== "deleted" && entry.to && (
+                  <p className="text-sm italic text-gray-600 dark:text-gray-400 line-clamp-2">“{entry.to}”</p>
+                )}
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {entry.by || "Unknown user"} · {entry.at ? new Date(entry.at).toLocaleString("en-IN") : "—"}
+                  {entry.batchId && <span className="font-mono"> · {entry.batchId}</span>}
+                </p>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default ActivityTimeline;
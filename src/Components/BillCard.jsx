@@ -0,0 +1,233 @@
+import React from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Link } from "react-router-dom";
+import { Phone, Calendar, Trash2, Receipt, ExternalLink } from "lucide-react";
+import { displayAmount } from "../Utils/money.js";
+import { matchBill } from "../Utils/searchBills.js";
+import { billPath } from "../Utils/billLinks.js";
+import DueDateBadge from "./DueDateBadge.jsx";
+import PromptDiscountBadge from "./PromptDiscountBadge.jsx";
+import LateFeeBadge from "./LateFeeBadge.jsx";
+import Highlight from "./Highlight.jsx";
+import StatusBadge from "./StatusBadge.jsx";
+import NoteThread from "./NoteThread.jsx";
+import ContactActions from "./ContactActions.jsx";
+import FollowUpPicker from "./FollowUpPicker.jsx";
+import EditableField from "./EditableField.jsx";
+import { EDITABLE_FIELDS } from "../Utils/billFields.js";
+
+const FIELD_COLORS = {
+  billAmountAfterDueDate: "text-red-500",
+  promptPaymentDate: "text-green-500",
+  billAmountWithPromptDiscount: "text-green-500",
+};
+
+// ✅ Single bill card rendered inside the BillPage grid
+const BillCard = ({ bill, search, isExpanded, onToggleExpand, onUpdate, onCorrect, onDelete, onNotesChange, selectable, selected, onToggleSelect }) => {
+  const matches = matchBill(bill, search) || {};
+  const correctedCount = Object.keys(bill.correctedFields || {}).length;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      whileHover={{ y: -8 }}
+      className={`relative h-full rounded-2xl shadow-xl overflow-hidden transition-all duration-300 bg-white dark:bg-gray-800 dark:border dark:border-gray-700 hover:shadow-2xl ${selected ? "ring-4 ring-blue-500" : ""}`}
+    >
+      {/* Selection Checkbox */}
+      {selectable && (
+        <label className="absolute top-0 left-0 px-4 py-2 rounded-br-2xl bg-gray-100 dark:bg-gray-700 flex items-center gap-2 cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-200">
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={() => onToggleSelect(bill._id)}
+            className="w-4 h-4 accent-blue-600"
+          />
+          Select
+        </label>
+      )}
+
+      {/* Status Badge */}
+      <StatusBadge status={bill.status} />
+
+      <div className="p-6">
+        {/* Customer Name */}
+        <h2 className="text-xl font-bold mb-4 mt-8 pr-20 text-gray-900 dark:text-white">
+          <Highlight text={bill.name} ranges={matches.name} />
+        </h2>
+
+        {correctedCount > 0 && (
+          <p className="-mt-2 mb-4 text-xs font-medium text-amber-700 dark:text-amber-400" title="Edited by hand after scanning">
+            ✎ {correctedCount} {correctedCount === 1 ? "field" : "fields"} corrected
+          </p>
+        )}
+
+        {/* Billing unit lives in the collapsed details, so surface it when that's what the search hit */}
+        {matches.billingUnit && !isExpanded && (
+          <p className="-mt-2 mb-4 text-sm text-gray-600 dark:text-gray-400">
+            Billing Unit: <Highlight text={bill.billingUnit} ranges={matches.billingUnit} />
+          </p>
+        )}
+
+        {/* Key Info Grid */}
+        <div className="space-y-3 mb-4">
+          <div className="flex items-center gap-3 p-3 rounded-xl bg-blue-50 dark:bg-gray-700 dark:bg-opacity-50">
+            <Receipt className="w-5 h-5 text-blue-500" />
+            <div className="flex-1">
+              <p className="text-xs text-gray-600 dark:text-gray-400">Consumer No.</p>
+              <p className="font-semibold text-gray-900 dark:text-white">
+                <Highlight text={bill.consumerNumber} ranges={matches.consumerNumber} />
+              </p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3 p-3 rounded-xl bg-purple-50 dark:bg-gray-700 dark:bg-opacity-50">
+            <Calendar className="w-5 h-5 text-purple-500" />
+            <div className="flex-1">
+              <p className="text-xs text-gray-600 dark:text-gray-400">Bill Month</p>
+              <p className="font-semibold text-gray-900 dark:text-white">{bill.billMonth}</p>
+            </div>
+          </div>
+
+          {bill.mobileNo && (
+            <div className="flex items-center gap-3 p-3 rounded-xl bg-green-50 dark:bg-gray-700 dark:bg-opacity-50">
+              <Phone className="w-5 h-5 text-green-500" />
+              <div className="flex-1">
+                <p className="text-xs text-gray-600 dark:text-gray-400">Mobile</p>
+                <p className="font-semibold text-gray-900 dark:text-white">
+                  <Highlight text={bill.mobileNo} ranges={matches.mobileNo} />
+                </p>
+              </div>
+              <ContactActions bill={bill} size="sm" />
+            </div>
+          )}
+        </div>
+
+        {/* Amount Highlight */}
+        <div className={`p-5 rounded-xl mb-4 bg-gradient-to-r from-blue-600 to-purple-600 text-white`}>
+          <p className="text-sm opacity-90">Bill Amount</p>
+          <p className="text-4xl font-bold mt-1">{displayAmount(bill.billAmount)}</p>
+          <div className="flex items-center gap-2 mt-2 text-sm">
+            <Calendar className="w-4 h-4" />
+            <span>Due: {bill.billDueDate}</span>
+            <DueDateBadge dueDate={bill.billDueDate} />
+          </div>
+          <PromptDiscountBadge bill={bill} />
+          <LateFeeBadge bill={bill} />
+        </div>
+
+        {/* Expandable Details + link to the full bill page */}
+        <div className="flex gap-2 mb-4">
+          <button
+            onClick={() => onToggleExpand(bill._id)}
+            className="flex-1 py-2 rounded-xl font-semibold transition-all bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-white"
+          >
+            {isExpanded ? "Show Less ▲" : "Show More Details ▼"}
+          </button>
+          <Link
+            to={billPath(bill._id)}
+            title="Open bill page"
+            className="px-3 py-2 rounded-xl flex items-center transition-all bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-white"
+          >
+            <ExternalLink className="w-5 h-5" />
+          </Link>
+        </div>
+
+        <AnimatePresence>
+          {isExpanded && (
+            <motion.div
+              initial={{ opacity: 0, height: 0 }}
+              animate={{ opacity: 1, height: "auto" }}
+              exit={{ opacity: 0, height: 0 }}
+              className="space-y-2 mb-4 text-sm"
+            >
+              <p className="text-xs text-gray-500 dark:text-gray-400">Scanned details: use ✎ to fix a misread value</p>
+              {EDITABLE_FIELDS.map((field) => (
+                <EditableField
+                  key={field.key}
+                  field={field}
+                  bill={bill}
+                  onSave={(value) => onCorrect(bill, field.key, value)}
+                  display={field.key === "billingUnit" ? <Highlight text={bill.billingUnit} ranges={matches.billingUnit} /> : undefined}
+                  valueClassName={FIELD_COLORS[field.key]}
+                />
+              ))}
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Status Update */}
+        <div className="mb-4">
+          <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
+            Update Status
+          </label>
+          <select
+            value={bill.status}
+            onChange={(e) => onUpdate(bill._id, "status", e.target.value)}
+            className="w-full p-3 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white"
+          >
+            <option value="pending">Pending</option>
+            <option value="inprocess">In Process</option>
+            <option value="success">Success</option>
+            <option value="fail">Fail</option>
+          </select>
+          {/* ✅ Priority Selector - Only for In Process */}
+          <AnimatePresence>
+            {bill.status === "inprocess" && (
+              <motion.div
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: "auto" }}
+                exit={{ opacity: 0, height: 0 }}
+                className="overflow-hidden mt-3"
+              >
+                <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
+                  Priority Level
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: "p1", label: "🔥 P1", color: "bg-red-500 text-white" },
+                    { value: "p2", label: "⚡ P2", color: "bg-orange-500 text-white" },
+                    { value: "p3", label: "🔹 P3", color: "bg-blue-500 text-white" },
+                    { value: "none", label: "None", color: "bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300" }
+                  ].map((option) => (
+                    <button
+                      key={option.value}
+                      onClick={() => onUpdate(bill._id, "priority", option.value)}
+                      className={`flex-1 py-2 rounded-lg text-sm font-semibold transition-all ${bill.priority === option.value
+                        ? `${option.color} ring-2 ring-offset-2 ring-blue-400`
+                        : "bg-gray-100 dark:bg-gray-800 text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700"
+                        }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </motion.div>
+            )}
+          </AnimatePresence>
+        </div>
+
+        {/* Follow-up */}
+        <div className="mb-4">
+          <FollowUpPicker value={bill.followUpAt} onChange={(value) => onUpdate(bill._id, "followUpAt", value)} />
+        </div>
+
+        {/* Notes */}
+        <div className="mb-4">
+          <NoteThread bill={bill} onChange={(patch) => onNotesChange(bill._id, patch)} maxHeight="max-h-48" />
+        </div>
+
+        {/* Delete Button */}
+        <button
+          onClick={() => onDelete(bill._id)}
+          className="w-full px-4 py-3 bg-red-500 text-white rounded-xl hover:bg-red-600 transition-all flex items-center justify-center gap-2 font-semibold shadow-lg hover:shadow-xl"
+        >
+          <Trash2 className="w-5 h-5" />
+          Delete Bill
+        </button>
+      </div>
+    </motion.div>
+  );
+};
+
+export default BillCard;
@@ -0,0 +1,264 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { useWindowVirtualizer } from "@tanstack/react-virtual";
+import { ArrowDown, ArrowUp, Columns, Loader } from "lucide-react";
+import { BILL_COLUMNS } from "../Utils/billColumns.js";
+import { displayAmount, formatAmount } from "../Utils/money.js";
+import { getDueStatus } from "../Utils/dates.js";
+import { getPromptStatus } from "../Utils/promptPayment.js";
+import { toggleSort } from "../Utils/sortBills.js";
+import { SEARCH_FIELDS, matchBill } from "../Utils/searchBills.js";
+import { billPath } from "../Utils/billLinks.js";
+import { latestNote } from "../Utils/notes.js";
+import Highlight from "./Highlight.jsx";
+import useScrollMargin from "../Hooks/useScrollMargin.js";
+
+const ROW_HEIGHT = 52;
+const MIN_COLUMN_WIDTH = 70;
+const DEFAULT_WIDTHS = { name: 200, consumerNumber: 140, note: 220, billPeriod: 180, status: 140, priority: 120 };
+const STORAGE_KEY = "billTableColumns";
+
+const loadColumnSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved?.hidden && saved?.widths) return saved;
+  } catch {
+    // fall through to defaults
+  }
+  return { hidden: [], widths: {} };
+};
+
+const widthOf = (settings, key) => settings.widths[key] ?? DEFAULT_WIDTHS[key] ?? 130;
+
+const inputClass =
+  "w-full px-2 py-1 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white";
+
+const renderCell = (bill, column, onUpdate, matches) => {
+  if (column.key === "status") {
+    return (
+      <select value={bill.status} onChange={(e) => onUpdate(bill._id, "status", e.target.value)} className={inputClass}>
+        <option value="pending">Pending</option>
+        <option value="inprocess">In Process</option>
+        <option value="success">Success</option>
+        <option value="fail">Fail</option>
+      </select>
+    );
+  }
+  if (column.key === "priority") {
+    // Same rule as the card: priority only applies to bills in the pipeline
+    if (bill.status !== "inprocess") return <span className="text-gray-400">—</span>;
+    return (
+      <select value={bill.priority || "none"} onChange={(e) => onUpdate(bill._id, "priority", e.target.value)} className={inputClass}>
+        <option value="p1">🔥 P1</option>
+        <option value="p2">⚡ P2</option>
+        <option value="p3">🔹 P3</option>
+        <option value="none">None</option>
+      </select>
+    );
+  }
+  if (column.type === "amount") return displayAmount(bill[column.key]);
+  if (column.key === "billDueDate") {
+    const { state } = getDueStatus(bill.billDueDate);
+    return (
+      <span className={state === "overdue" ? "text-red-500 font-semibold" : state === "invalid" ? "text-gray-400 italic" : ""}>
+        {bill.billDueDate || "—"}
+      </span>
+    );
+  }
+  if (column.key === "promptPaymentDate") {
+    const { state, savings } = getPromptStatus(bill);
+    if (state !== "open" && state !== "today") return bill.promptPaymentDate || <span className="text-gray-400">—</span>;
+    return (
+      <span className="text-green-600 dark:text-green-400 font-semibold" title={`Save ${formatAmount(savings)} if paid by then`}>
+        {bill.promptPaymentDate} · {formatAmount(savings)}
+      </span>
+    );
+  }
+  if (column.key === "name") {
+    return (
+      <Link to={billPath(bill._id)} className="font-medium text-blue-600 hover:underline dark:text-blue-400">
+        <Highlight text={bill.name || "Unnamed"} ranges={matches.name} />
+      </Link>
+    );
+  }
+  if (column.key === "note") {
+    const note = latestNote(bill);
+    return note ? <span title={note.text}>{note.text}</span> : <span className="text-gray-400">—</span>;
+  }
+  if (!bill[column.key]) return <span className="text-gray-400">—</span>;
+  if (SEARCH_FIELDS.includes(column.key)) return <Highlight text={bill[column.key]} ranges={matches[column.key]} />;
+  return bill[column.key];
+};
+
+// ✅ Dense, virtualized table view of the BillPage results
+const BillTable = ({ bills, search, hasMore, loading, onLoadMore, sortBy, onSortChange, onUpdate, selectable, isSelected, onToggleSelect }) => {
+  const listRef = useRef(null);
+  const scrollMargin = useScrollMargin(listRef);
+  const [settings, setSettings] = useState(loadColumnSettings);
+  const [showColumnMenu, setShowColumnMenu] = useState(false);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  const columns = BILL_COLUMNS.filter((c) => !settings.hidden.includes(c.key));
+  const selectWidth = selectable ? 44 : 0;
+  const gridTemplateColumns = [selectable ? `${selectWidth}px` : null, ...columns.map((c) => `${widthOf(settings, c.key)}px`)]
+    .filter(Boolean)
+    .join(" ");
+  const tableWidth = columns.reduce((sum, c) => sum + widthOf(settings, c.key), selectWidth);
+
+  const virtualizer = useWindowVirtualizer({
+    count: hasMore ? bills.length + 1 : bills.length,
+    estimateSize: () => ROW_HEIGHT,
+    overscan: 10,
+    scrollMargin,
+  });
+
+  const virtualRows = virtualizer.getVirtualItems();
+  const lastRowIndex = virtualRows.length ? virtualRows[virtualRows.length - 1].index : -1;
+
+  useEffect(() => {
+    if (lastRowIndex >= bills.length - 1 && hasMore && !loading) onLoadMore();
+  }, [lastRowIndex, bills.length, hasMore, loading, onLoadMore]);
+
+  const toggleColumn = (key) => {
+    setSettings((prev) => ({
+      ...prev,
+      hidden: prev.hidden.includes(key) ? prev.hidden.filter((k) => k !== key) : [...prev.hidden, key],
+    }));
+  };
+
+  // Drag the right edge of a header to resize its column
+  const startResize = (e, key) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = widthOf(settings, key);
+
+    const handleMove = (moveEvent) => {
+      const width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+      setSettings((prev) => ({ ...prev, widths: { ...prev.widths, [key]: width } }));
+    };
+    const handleUp = () => {
+      window.removeEventListener("mousemove", handleMove);
+      window.removeEventListener("mouseup", handleUp);
+    };
+    window.addEventListener("mousemove", handleMove);
+    window.addEventListener("mouseup", handleUp);
+  };
+
+  return (
+    <div className="relative text-left">
+      {/* Column Picker */}
+      <div className="flex justify-end mb-2">
+        <button
+          onClick={() => setShowColumnMenu(!showColumnMenu)}
+          className="px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 bg-gray-100 hover:bg-gray-200 dark:bg-gray-800 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200"
+        >
+          <Columns className="w-4 h-4" /> Columns
+        </button>
+      </div>
+      {showColumnMenu && (
+        <div className="absolute right-0 top-12 z-30 w-64 p-3 rounded-xl shadow-2xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 grid grid-cols-1 gap-1 max-h-80 overflow-y-auto">
+          {BILL_COLUMNS.map((column) => (
+            <label key={column.key} className="flex items-center gap-2 p-1 text-sm text-gray-800 dark:text-gray-200 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={!settings.hidden.includes(column.key)}
+                onChange={() => toggleColumn(column.key)}
+                className="w-4 h-4 accent-blue-600"
+              />
+              {column.label}
+            </label>
+          ))}
+          <button
+            onClick={() => setSettings({ hidden: [], widths: {} })}
+            className="mt-2 text-xs text-blue-600 hover:underline text-left"
+          >
+            Reset columns
+          </button>
+        </div>
+      )}
+
+      <div className="overflow-x-auto rounded-2xl shadow-lg bg-white dark:bg-gray-800 dark:border dark:border-gray-700">
+        <div style={{ width: tableWidth, minWidth: "100%" }}>
+          {/* Header */}
+          <div className="grid bg-gray-100 dark:bg-gray-700 text-sm font-semibold text-gray-700 dark:text-gray-200" style={{ gridTemplateColumns }}>
+            {selectable && <div />}
+            {columns.map((column) => {
+              const sortIndex = sortBy.findIndex((s) => s.key === column.key);
+              const sort = sortBy[sortIndex];
+              return (
+                <div
+                  key={column.key}
+                  onClick={(e) => column.sortable && onSortChange(toggleSort(sortBy, column.key, e.shiftKey))}
+                  title={column.sortable ? "Click to sort, Shift+click to add a secondary sort" : undefined}
+                  className={`relative flex items-center gap-1 px-3 py-3 select-none ${column.sortable ? "cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-600" : ""}`}
+                >
+                  <span className="truncate">{column.label}</span>
+                  {sort && (
+                    <span className="flex items-center text-blue-600 dark:text-blue-400 shrink-0">
+                      {sort.dir === "asc" ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />}
+                      {sortBy.length > 1 && <span className="text-xs">{sortIndex + 1}</span>}
+                    </span>
+                  )}
+                  <span
+                    onMouseDown={(e) => startResize(e, column.key)}
+                    onClick={(e) => e.stopPropagation()}
+                    className="absolute top-0 right-0 h-full w-2 cursor-col-resize hover:bg-blue-400/50"
+                  />
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Rows */}
+          <div ref={listRef} className="relative" style={{ height: virtualizer.getTotalSize() }}>
+            {virtualRows.map((row) => {
+              const bill = bills[row.index];
+              const matches = (bill && matchBill(bill, search)) || {};
+              return (
+                <div
+                  key={row.key}
+                  className="absolute top-0 left-0 w-full border-b border-gray-200 dark:border-gray-700"
+                  style={{ height: row.size, transform: `translateY(${row.start - virtualizer.options.scrollMargin}px)` }}
+                >
+                  {bill ? (
+                    <div
+                      className={`grid h-full items-center text-sm text-gray-900 dark:text-white hover:bg-blue-50 dark:hover:bg-gray-700/50 ${selectable && isSelected(bill._id) ? "bg-blue-50 dark:bg-blue-900/20" : ""}`}
+                      style={{ gridTemplateColumns }}
+                    >
+                      {selectable && (
+                        <div className="flex justify-center">
+                          <input
+                            type="checkbox"
+                            checked={isSelected(bill._id)}
+                            onChange={() => onToggleSelect(bill._id)}
+                            className="w-4 h-4 accent-blue-600"
+                          />
+                        </div>
+                      )}
+                      {columns.map((column) => (
+                        <div key={column.key} className="px-3 truncate">
+                          {renderCell(bill, column, onUpdate, matches)}
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="flex h-full items-center justify-center gap-2 text-gray-500 dark:text-gray-400">
+                      <Loader className="w-4 h-4 animate-spin" />
+                      Loading more bills...
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BillTable;
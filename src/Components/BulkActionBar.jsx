@@ -0,0 +1,134 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { CheckSquare, Flag, Loader, MessageSquarePlus, Printer, RefreshCw, Send, Trash2, X } from "lucide-react";
+
+// ✅ Floating toolbar shown while BillPage is in selection mode
+const BulkActionBar = ({
+  selectedCount,
+  loadedCount,
+  total,
+  allMatching,
+  progress,
+  onSelectLoaded,
+  onSelectAllMatching,
+  onClear,
+  onStatus,
+  onPriority,
+  onAppendNote,
+  onDelete,
+  onRemind,
+  onPrint,
+}) => {
+  const busy = progress !== null;
+  const count = allMatching ? total : selectedCount;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 40 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: 40 }}
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-[95%] max-w-5xl p-4 rounded-2xl shadow-2xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700"
+    >
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex items-center gap-2 font-semibold text-gray-800 dark:text-white">
+          <CheckSquare className="w-5 h-5 text-blue-500" />
+          {count} selected
+        </div>
+
+        {!allMatching && (
+          <>
+            <button
+              onClick={onSelectLoaded}
+              disabled={busy}
+              className="px-3 py-1.5 rounded-lg text-sm font-medium bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200"
+            >
+              Select loaded ({loadedCount})
+            </button>
+            {total > loadedCount && (
+              <button
+                onClick={onSelectAllMatching}
+                disabled={busy}
+                className="px-3 py-1.5 rounded-lg text-sm font-medium bg-blue-100 hover:bg-blue-200 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400"
+              >
+                Select all {total} matching filter
+              </button>
+            )}
+          </>
+        )}
+
+        <div className="flex flex-wrap gap-2 ml-auto">
+          {busy ? (
+            <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+              <Loader className="w-4 h-4 animate-spin" />
+              Processing {progress.current} / {progress.total}
+            </div>
+          ) : (
+            <>
+              <button
+                onClick={onStatus}
+                disabled={!count}
+                className="px-3 py-2 rounded-lg text-sm font-semibold flex items-center gap-1 bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50"
+              >
+                <RefreshCw className="w-4 h-4" /> Status
+              </button>
+              <button
+                onClick={onPriority}
+                disabled={!count}
+                className="px-3 py-2 rounded-lg text-sm font-semibold flex items-center gap-1 bg-orange-500 hover:bg-orange-600 text-white disabled:opacity-50"
+              >
+                <Flag className="w-4 h-4" /> Priority
+              </button>
+              <button
+                onClick={onAppendNote}
+                disabled={!count}
+                className="px-3 py-2 rounded-lg text-sm font-semibold flex items-center gap-1 bg-purple-500 hover:bg-purple-600 text-white disabled:opacity-50"
+              >
+                <MessageSquarePlus className="w-4 h-4" /> Note
+              </button>
+              <button
+                onClick={onRemind}
+                disabled={!count}
+                className="px-3 py-2 rounded-lg text-sm font-semibold flex items-center gap-1 bg-emerald-600 hover:bg-emerald-700 text-white disabled:opacity-50"
+              >
+                <Send className="w-4 h-4" /> Remind
+              </button>
+              <button
+                onClick={onPrint}
+                disabled={!count}
+                className="px-3 py-2 rounded-lg text-sm font-semibold flex items-center gap-1 bg-gray-600 hover:bg-gray-700 text-white disabled:opacity-50"
+              >
+                <Printer className="w-4 h-4" /> Print
+              </button>
+              <button
+                onClick={onDelete}
+                disabled={!count}
+                className="px-3 py-2 rounded-lg text-sm font-semibold flex items-center gap-1 bg-red-500 hover:bg-red-600 text-white disabled:opacity-50"
+              >
+                <Trash2 className="w-4 h-4" /> Delete
+              </button>
+            </>
+          )}
+          <button
+            onClick={onClear}
+            disabled={busy}
+            title="Exit selection"
+            className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {busy && (
+        <div className="mt-3 h-2 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+          <div
+            className="h-full bg-gradient-to-r from-blue-600 to-purple-600 transition-all"
+            style={{ width: `${progress.total ? (progress.current / progress.total) * 100 : 0}%` }}
+          />
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,74 @@
+import React from "react";
+
+// ✅ Small dependency-free charts for the dashboard, drawn with Tailwind boxes.
+
+// Titled card every chart sits in
+export const ChartCard = ({ title, subtitle, children }) => (
+  <div className="p-5 rounded-2xl shadow bg-white dark:bg-gray-800 dark:border dark:border-gray-700">
+    <h2 className="font-bold text-gray-900 dark:text-white">{title}</h2>
+    {subtitle && <p className="text-xs text-gray-500 dark:text-gray-400">{subtitle}</p>}
+    <div className="mt-4">{children}</div>
+  </div>
+);
+
+const Empty = () => <p className="py-8 text-center text-sm text-gray-500 dark:text-gray-400">No data for this period.</p>;
+
+// One horizontal bar per row: [{ label, value, color?, hint? }]
+export const BarList = ({ data, format = (v) => v, color = "bg-blue-500" }) => {
+  if (!data.some((d) => d.value > 0)) return <Empty />;
+  const max = Math.max(...data.map((d) => d.value));
+  return (
+    <ul className="space-y-2">
+      {data.map((d) => (
+        <li key={d.label} className="text-sm">
+          <div className="flex justify-between gap-2 text-gray-700 dark:text-gray-300">
+            <span className="truncate capitalize">{d.label}</span>
+            <span className="font-semibold whitespace-nowrap">
+              {format(d.value)}
+              {d.hint && <span className="ml-1 font-normal text-gray-500 dark:text-gray-400">{d.hint}</span>}
+            </span>
+          </div>
+          <div className="h-2 mt-1 rounded bg-gray-100 dark:bg-gray-700">
+            <div className={`h-2 rounded ${d.color || color}`} style={{ width: `${(d.value / max) * 100}%` }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Vertical columns, each stacked from segments: data [{ label, values: { key: number } }], series [{ key, label, color }]
+export const StackedColumns = ({ data, series, format = (v) => v, height = 180 }) => {
+  const totals = data.map((d) => series.reduce((sum, s) => sum + (d.values[s.key] || 0), 0));
+  if (!totals.some((t) => t > 0)) return <Empty />;
+  const max = Math.max(...totals);
+  return (
+    <div>
+      <div className="flex items-end gap-2 overflow-x-auto pb-1" style={{ height }}>
+        {data.map((d, i) => (
+          <div key={d.label} className="flex-1 min-w-[2rem] h-full flex flex-col justify-end" title={`${d.label}: ${series.map((s) => `${s.label} ${format(d.values[s.key] || 0)}`).join(", ")}`}>
+            {/* Last series on top */}
+            {[...series].reverse().map((s) => (
+              <div key={s.key} className={s.color} style={{ height: `${((d.values[s.key] || 0) / max) * 100}%` }} />
+            ))}
+            {!totals[i] && <div className="h-px bg-gray-200 dark:bg-gray-700" />}
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2 overflow-x-auto">
+        {data.map((d) => (
+          <span key={d.label} className="flex-1 min-w-[2rem] text-center text-[10px] text-gray-500 dark:text-gray-400 truncate">
+            {d.label}
+          </span>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-4 mt-3 text-xs text-gray-600 dark:text-gray-400">
+        {series.map((s) => (
+          <span key={s.key} className="flex items-center gap-1">
+            <span className={`w-3 h-3 rounded ${s.color}`} /> {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,82 @@
+import React, { useEffect, useRef, useState } from "react";
+import { MessageCircle, Phone, Settings } from "lucide-react";
+import { renderTemplate, telLink, whatsappLink } from "../Utils/contact.js";
+import useMessageTemplates from "../Hooks/useMessageTemplates.js";
+import TemplateManager from "./TemplateManager.jsx";
+
+const SIZES = {
+  sm: { button: "px-2 py-1 text-xs rounded-lg gap-1", icon: "w-3 h-3" },
+  md: { button: "px-3 py-2 text-sm rounded-xl gap-2", icon: "w-4 h-4" },
+};
+
+// ✅ Call + WhatsApp buttons for a bill. WhatsApp opens a menu of message templates filled from the bill.
+// Clicks don't bubble, so the buttons can sit on clickable / draggable cards.
+const ContactActions = ({ bill, size = "md", className = "" }) => {
+  const templates = useMessageTemplates();
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [managerOpen, setManagerOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!menuOpen) return;
+    const close = (e) => !menuRef.current?.contains(e.target) && setMenuOpen(false);
+    document.addEventListener("mousedown", close);
+    return () => document.removeEventListener("mousedown", close);
+  }, [menuOpen]);
+
+  const tel = telLink(bill.mobileNo);
+  if (!tel) return null;
+
+  const { button, icon } = SIZES[size] || SIZES.md;
+
+  const sendWhatsapp = (text) => {
+    window.open(whatsappLink(bill.mobileNo, text), "_blank", "noopener,noreferrer");
+    setMenuOpen(false);
+  };
+
+  return (
+    <div className={`relative flex gap-2 ${className}`} ref={menuRef} onClick={(e) => e.stopPropagation()}>
+      <a href={tel} className={`flex items-center font-medium bg-green-500 text-white hover:bg-green-600 ${button}`}>
+        <Phone className={icon} /> Call
+      </a>
+      <button onClick={() => setMenuOpen(!menuOpen)} className={`flex items-center font-medium bg-emerald-600 text-white hover:bg-emerald-700 ${button}`}>
+        <MessageCircle className={icon} /> WhatsApp
+      </button>
+
+      {menuOpen && (
+        <div className="absolute z-40 top-full left-0 mt-1 w-72 rounded-xl shadow-2xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 py-1 text-left">
+          {templates.map((t) => (
+            <button
+              key={t.id}
+              onClick={() => sendWhatsapp(renderTemplate(t.body, bill))}
+              title={renderTemplate(t.body, bill)}
+              className="w-full px-3 py-2 text-sm text-left hover:bg-gray-100 dark:hover:bg-gray-700"
+            >
+              <span className="block font-medium text-gray-800 dark:text-white">{t.name}</span>
+              <span className="block text-xs text-gray-500 dark:text-gray-400 truncate">{renderTemplate(t.body, bill)}</span>
+            </button>
+          ))}
+          <button
+            onClick={() => sendWhatsapp("")}
+            className="w-full px-3 py-2 text-sm text-left text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            Open chat without a message
+          </button>
+          <button
+            onClick={() => {
+              setMenuOpen(false);
+              setManagerOpen(true);
+            }}
+            className="w-full px-3 py-2 text-sm text-left flex items-center gap-2 border-t border-gray-100 dark:border-gray-700 text-blue-600 dark:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <Settings className="w-4 h-4" /> Manage templates…
+          </button>
+        </div>
+      )}
+
+      {managerOpen && <TemplateManager onClose={() => setManagerOpen(false)} previewBill={bill} />}
+    </div>
+  );
+};
+
+export default ContactActions;
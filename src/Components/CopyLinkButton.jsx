@@ -0,0 +1,32 @@
+import React from "react";
+import { Link2 } from "lucide-react";
+import Swal from "sweetalert2";
+import withReactContent from "sweetalert2-react-content";
+
+const MySwal = withReactContent(Swal);
+
+// ✅ Copies a shareable link (the current page by default) and confirms with a toast
+const CopyLinkButton = ({ url, label = "Copy link", className = "" }) => {
+  const handleCopy = async (e) => {
+    e.stopPropagation();
+    const link = url || window.location.href;
+    try {
+      await navigator.clipboard.writeText(link);
+      MySwal.fire({ icon: "success", title: "Link copied", toast: true, position: "top-end", showConfirmButton: false, timer: 1500 });
+    } catch {
+      // Clipboard needs a secure context; show the link so it can be copied by hand
+      MySwal.fire("Copy this link", link, "info");
+    }
+  };
+
+  return (
+    <button
+      onClick={handleCopy}
+      className={`px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200 ${className}`}
+    >
+      <Link2 className="w-4 h-4" /> {label}
+    </button>
+  );
+};
+
+export default CopyLinkButton;
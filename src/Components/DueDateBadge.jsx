@@ -0,0 +1,34 @@
+import React from "react";
+import { getDueStatus } from "../Utils/dates.js";
+
+// ✅ Countdown / overdue chip shown next to a bill's due date (cards and pipeline modal)
+const DueDateBadge = ({ dueDate }) => {
+  const { state, days } = getDueStatus(dueDate);
+
+  switch (state) {
+    case "upcoming":
+      return (
+        <span className="ml-auto bg-white/20 px-2 py-1 rounded-full text-xs">
+          {days} {days === 1 ? "day" : "days"} left
+        </span>
+      );
+    case "today":
+      return <span className="ml-auto bg-yellow-400 text-yellow-900 px-2 py-1 rounded-full text-xs font-bold">Due today</span>;
+    case "overdue":
+      return (
+        <span className="ml-auto bg-red-500 text-white px-2 py-1 rounded-full text-xs font-bold">
+          {days} {days === 1 ? "day" : "days"} overdue
+        </span>
+      );
+    case "invalid":
+      return (
+        <span className="ml-auto bg-gray-800/40 px-2 py-1 rounded-full text-xs" title={`Could not read due date "${dueDate}"`}>
+          ⚠ Unreadable date
+        </span>
+      );
+    default:
+      return null;
+  }
+};
+
+export default DueDateBadge;
@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { Check, Edit2, X } from "lucide-react";
+import { displayAmount } from "../Utils/money.js";
+import { cleanField, validateField } from "../Utils/billFields.js";
+
+// ✅ One scraped field as a label / value row that turns into an input on click.
+// onSave(value) only fires for a valid, changed value. `display` overrides how the value is shown (e.g. Highlight).
+const EditableField = ({ field, bill, onSave, display, valueClassName = "text-gray-900 dark:text-white" }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [error, setError] = useState(null);
+
+  const value = bill[field.key];
+  const correction = bill.correctedFields?.[field.key];
+
+  const startEditing = () => {
+    setDraft(value == null ? "" : String(value));
+    setError(null);
+    setEditing(true);
+  };
+
+  const save = () => {
+    const problem = validateField(field, draft);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    const next = cleanField(field, draft);
+    setEditing(false);
+    if (next !== String(value ?? "")) onSave(next);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") save();
+    if (e.key === "Escape") setEditing(false);
+  };
+
+  if (editing) {
+    return (
+      <div className="py-2 border-b border-gray-200 dark:border-gray-700">
+        <span className="text-gray-600 dark:text-gray-400">{field.label}</span>
+        <div className="flex gap-2 mt-1">
+          <input
+            autoFocus
+            value={draft}
+            onChange={(e) => {
+              setDraft(e.target.value);
+              setError(null);
+            }}
+            onKeyDown={handleKeyDown}
+            className={`flex-1 min-w-0 px-2 py-1 rounded-lg border focus:outline-none focus:ring-2 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white ${error
+              ? "border-red-500 focus:ring-red-500"
+              : "border-gray-300 dark:border-gray-600 focus:ring-blue-500"}`}
+          />
+          <button onClick={save} title="Save" className="p-1 rounded-lg text-green-600 hover:bg-green-50 dark:hover:bg-green-900/20">
+            <Check className="w-4 h-4" />
+          </button>
+          <button onClick={() => setEditing(false)} title="Cancel" className="p-1 rounded-lg text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        {error && <p className="mt-1 text-xs text-red-500">{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="group flex items-center justify-between gap-2 py-2 border-b border-gray-200 dark:border-gray-700">
+      <span className="text-gray-600 dark:text-gray-400">
+        {field.label}
+        {correction && (
+          <span
+            title={`Scanned as “${correction.original ?? ""}”${correction.by ? ` · corrected by ${correction.by}` : ""}${correction.at ? ` on ${new Date(correction.at).toLocaleDateString("en-IN")}` : ""}`}
+            className="ml-2 px-1.5 py-0.5 rounded text-xs font-medium bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-400"
+          >
+            ✎ corrected
+          </span>
+        )}
+      </span>
+      <span className={`flex items-center gap-1 font-semibold text-right ${valueClassName}`}>
+        {display ?? (field.type === "amount" ? displayAmount(value) : value)}
+        <button
+          onClick={startEditing}
+          title={`Correct ${field.label}`}
+          className="p-1 rounded text-gray-400 hover:text-blue-500 opacity-60 group-hover:opacity-100"
+        >
+          <Edit2 className="w-3 h-3" />
+        </button>
+      </span>
+    </div>
+  );
+};
+
+export default EditableField;
@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Download, FileSpreadsheet, FileText, Loader, X } from "lucide-react";
+import { BILL_COLUMNS, DEFAULT_EXPORT_COLUMNS } from "../Utils/billColumns.js";
+
+const STORAGE_KEY = "exportColumns";
+
+const loadSavedColumns = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved) && saved.length) return saved;
+  } catch {
+    // fall through to defaults
+  }
+  return DEFAULT_EXPORT_COLUMNS;
+};
+
+// ✅ Column picker + format choice for exporting the current BillPage results
+const ExportDialog = ({ open, count, exporting, onClose, onExport }) => {
+  const [columns, setColumns] = useState(loadSavedColumns);
+  const [format, setFormat] = useState("csv");
+
+  const toggleColumn = (key) => {
+    setColumns((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  };
+
+  const handleExport = () => {
+    // Keep the card's column order regardless of click order
+    const ordered = BILL_COLUMNS.map((c) => c.key).filter((k) => columns.includes(k));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(ordered));
+    onExport(format, ordered);
+  };
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm" onClick={exporting ? undefined : onClose}>
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto p-6 text-left"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold text-gray-800 dark:text-white flex items-center gap-2">
+                <Download className="w-5 h-5 text-blue-500" />
+                Export {count} bills
+              </h2>
+              <button
+                onClick={onClose}
+                disabled={exporting}
+                className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 transition-colors"
+              >
+                <X className="w-5 h-5 text-gray-500 dark:text-gray-300" />
+              </button>
+            </div>
+
+            {/* Format */}
+            <div className="flex gap-2 mb-4">
+              {[
+                { id: "csv", label: "CSV", icon: <FileText className="w-4 h-4" /> },
+                { id: "xlsx", label: "Excel (.xlsx)", icon: <FileSpreadsheet className="w-4 h-4" /> },
+              ].map((option) => (
+                <button
+                  key={option.id}
+                  onClick={() => setFormat(option.id)}
+                  className={`flex-1 py-2 rounded-xl font-semibold flex items-center justify-center gap-2 transition-all ${format === option.id
+                    ? "bg-gradient-to-r from-blue-600 to-purple-600 text-white"
+                    : "bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                    }`}
+                >
+                  {option.icon} {option.label}
+                </button>
+              ))}
+            </div>
+
+            {/* Columns */}
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Columns</span>
+              <div className="flex gap-3 text-xs">
+                <button onClick={() => setColumns(DEFAULT_EXPORT_COLUMNS)} className="text-blue-600 hover:underline">All</button>
+                <button onClick={() => setColumns([])} className="text-blue-600 hover:underline">None</button>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2 mb-6">
+              {BILL_COLUMNS.map((column) => (
+                <label
+                  key={column.key}
+                  className="flex items-center gap-2 p-2 rounded-lg bg-gray-50 dark:bg-gray-700/50 text-sm text-gray-800 dark:text-gray-200 cursor-pointer"
+                >
+                  <input
+                    type="checkbox"
+                    checked={columns.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                    className="w-4 h-4 accent-blue-600"
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+
+            <button
+              onClick={handleExport}
+              disabled={exporting || !columns.length}
+              className="w-full py-3 rounded-xl font-semibold text-white bg-gradient-to-r from-blue-600 to-purple-600 disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              {exporting ? <Loader className="w-5 h-5 animate-spin" /> : <Download className="w-5 h-5" />}
+              {exporting ? "Preparing file..." : "Export"}
+            </button>
+          </motion.div>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ExportDialog;
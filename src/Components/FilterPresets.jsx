@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { Bookmark, BookmarkPlus, RotateCcw, Trash2 } from "lucide-react";
+import Swal from "sweetalert2";
+import withReactContent from "sweetalert2-react-content";
+import { loadPresets, savePresets } from "../Utils/filterParams.js";
+import CopyLinkButton from "./CopyLinkButton.jsx";
+
+const MySwal = withReactContent(Swal);
+
+// ✅ Saved filter presets + share link for the BillPage filter panel
+const FilterPresets = ({ currentQuery, onApply }) => {
+  const [presets, setPresets] = useState(loadPresets);
+  const activePreset = presets.find((p) => p.query === currentQuery);
+
+  const updatePresets = (next) => {
+    setPresets(next);
+    savePresets(next);
+  };
+
+  const handleSave = async () => {
+    const { value: name } = await MySwal.fire({
+      title: "Save Filter Preset",
+      input: "text",
+      inputLabel: "Preset Name",
+      inputPlaceholder: "e.g. Overdue > ₹5000 with mobile",
+      showCancelButton: true,
+      confirmButtonColor: "#3b82f6",
+      cancelButtonColor: "#d33",
+    });
+    if (!name?.trim()) return;
+
+    // Saving under an existing name replaces that preset
+    const others = presets.filter((p) => p.name !== name.trim());
+    updatePresets([...others, { id: Date.now().toString(36), name: name.trim(), query: currentQuery }]);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4">
+      <Bookmark className="w-4 h-4 text-gray-500 dark:text-gray-400" />
+      <select
+        value={activePreset?.id || ""}
+        onChange={(e) => {
+          const preset = presets.find((p) => p.id === e.target.value);
+          if (preset) onApply(preset.query);
+        }}
+        className="flex-1 min-w-[12rem] p-2 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white"
+      >
+        <option value="">{presets.length ? "Saved presets..." : "No saved presets yet"}</option>
+        {presets.map((preset) => (
+          <option key={preset.id} value={preset.id}>{preset.name}</option>
+        ))}
+      </select>
+      {activePreset && (
+        <button
+          onClick={() => updatePresets(presets.filter((p) => p.id !== activePreset.id))}
+          title="Delete this preset"
+          className="p-2 rounded-lg text-gray-400 hover:text-red-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      )}
+      <button
+        onClick={handleSave}
+        disabled={!currentQuery}
+        className="px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 bg-blue-100 text-blue-700 hover:bg-blue-200 dark:bg-blue-900/30 dark:text-blue-400 disabled:opacity-50"
+      >
+        <BookmarkPlus className="w-4 h-4" /> Save preset
+      </button>
+      <CopyLinkButton />
+      <button
+        onClick={() => onApply("")}
+        disabled={!currentQuery}
+        className="px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200 disabled:opacity-50"
+      >
+        <RotateCcw className="w-4 h-4" /> Reset
+      </button>
+    </div>
+  );
+};
+
+export default FilterPresets;
@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { BellRing, X } from "lucide-react";
+import { FOLLOW_UP_SHORTCUTS, formatFollowUp, fromDateTimeInput, getFollowUpStatus, toDateTimeInput } from "../Utils/followUps.js";
+
+const STATE_STYLES = {
+  overdue: "bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400",
+  today: "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400",
+  upcoming: "bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400",
+};
+
+// ✅ Small chip for a bill's follow-up (pipeline cards, agenda); nothing when none is set
+export const FollowUpChip = ({ value, className = "" }) => {
+  const { state } = getFollowUpStatus(value);
+  if (state === "none") return null;
+  return (
+    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATE_STYLES[state]} ${className}`}>
+      {state === "overdue" ? "⏰ Follow-up overdue · " : "📅 "}
+      {formatFollowUp(value)}
+    </span>
+  );
+};
+
+// ✅ Set / change / clear a bill's follow-up date. onChange(isoString | null)
+const FollowUpPicker = ({ value, onChange }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+
+  const startEditing = () => {
+    setDraft(toDateTimeInput(value));
+    setEditing(true);
+  };
+
+  const save = (next) => {
+    setEditing(false);
+    if (next !== (value || null)) onChange(next);
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">Follow-up</label>
+      {editing ? (
+        <div className="space-y-2">
+          <div className="flex gap-2">
+            <input
+              type="datetime-local"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              className="flex-1 p-2 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white"
+            />
+            <button
+              onClick={() => save(fromDateTimeInput(draft))}
+              disabled={!draft}
+              className="px-3 py-2 rounded-xl text-sm font-semibold bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50"
+            >
+              Save
+            </button>
+            <button onClick={() => setEditing(false)} className="p-2 rounded-xl text-gray-400 hover:text-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {FOLLOW_UP_SHORTCUTS.map((shortcut) => (
+              <button
+                key={shortcut.label}
+                onClick={() => save(shortcut.at())}
+                className="px-2 py-1 rounded-lg text-xs bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600"
+              >
+                {shortcut.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-center gap-2">
+          {value ? <FollowUpChip value={value} /> : <span className="text-sm text-gray-500 dark:text-gray-400">None scheduled</span>}
+          <button
+            onClick={startEditing}
+            className="ml-auto px-3 py-1.5 rounded-lg text-sm font-medium flex items-center gap-1 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200"
+          >
+            <BellRing className="w-4 h-4" /> {value ? "Change" : "Schedule"}
+          </button>
+          {value && (
+            <button onClick={() => save(null)} title="Clear follow-up" className="p-1.5 rounded-lg text-gray-400 hover:text-red-500 hover:bg-gray-100 dark:hover:bg-gray-700">
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FollowUpPicker;
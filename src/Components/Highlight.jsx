@@ -0,0 +1,34 @@
+import React from "react";
+
+// ✅ Renders `text` with the given [start, end) ranges wrapped in <mark> (ranges come from matchBill)
+const Highlight = ({ text, ranges }) => {
+  const value = text == null ? "" : String(text);
+  if (!ranges?.length) return value;
+
+  // Merge overlapping ranges so each character is marked at most once
+  const merged = [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((acc, [start, end]) => {
+      const last = acc[acc.length - 1];
+      if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+      else acc.push([start, end]);
+      return acc;
+    }, []);
+
+  const parts = [];
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    if (start > cursor) parts.push(value.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="rounded px-0.5 bg-yellow-200 text-gray-900 dark:bg-yellow-500/40 dark:text-white">
+        {value.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  if (cursor < value.length) parts.push(value.slice(cursor));
+
+  return parts;
+};
+
+export default Highlight;
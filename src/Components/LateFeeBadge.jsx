@@ -0,0 +1,25 @@
+import React from "react";
+import { displayAmount, formatAmount } from "../Utils/money.js";
+import { getLateFeeStatus } from "../Utils/lateFees.js";
+
+// ✅ Penalty line for unpaid bills past their due date (cards)
+const LateFeeBadge = ({ bill }) => {
+  const { overdue, penalty } = getLateFeeStatus(bill);
+  if (!overdue) return null;
+
+  if (penalty == null) {
+    return (
+      <div className="mt-2 text-sm" title="After-due amount missing or unreadable">
+        ⚠ Late fee unknown
+      </div>
+    );
+  }
+  return (
+    <div className="flex items-center gap-2 mt-2 text-sm font-semibold">
+      <span>⚠ Late fee {formatAmount(penalty)}</span>
+      <span className="ml-auto bg-red-500 text-white px-2 py-1 rounded-full text-xs">Now {displayAmount(bill.billAmountAfterDueDate)}</span>
+    </div>
+  );
+};
+
+export default LateFeeBadge;
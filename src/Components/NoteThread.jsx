@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import { Edit2, Trash2, Send, Check, X, MessageSquare } from "lucide-react";
+import Swal from "sweetalert2";
+import withReactContent from "sweetalert2-react-content";
+import { addNote, deleteNote, editNote, formatNoteTime, getNotes } from "../Utils/notes.js";
+import { runMutation } from "../Utils/mutations.js";
+
+const MySwal = withReactContent(Swal);
+
+const inputClass =
+  "w-full p-3 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none bg-gray-50 border-gray-300 text-gray-900 dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400";
+
+// ✅ Timestamped note thread for one bill. `onChange(patch)` receives the fields to merge into the bill.
+const NoteThread = ({ bill, onChange, maxHeight = "max-h-64" }) => {
+  const [draft, setDraft] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState("");
+  const [saving, setSaving] = useState(false);
+  const notes = getNotes(bill);
+
+  // Not optimistic: the thread is replaced by the list the server sends back
+  const save = async (request) => {
+    setSaving(true);
+    const saved = await runMutation({ label: "Saving note", request, onSuccess: onChange });
+    setSaving(false);
+    return saved;
+  };
+
+  const handleAdd = async () => {
+    if (!draft.trim()) return;
+    if (await save(() => addNote(bill, draft.trim()))) setDraft("");
+  };
+
+  const handleEdit = async () => {
+    if (!editText.trim()) return;
+    if (await save(() => editNote(bill, editingId, editText.trim()))) setEditingId(null);
+  };
+
+  const handleDelete = async (noteId) => {
+    const result = await MySwal.fire({
+      title: "Delete this note?",
+      icon: "warning",
+      showCancelButton: true,
+      confirmButtonColor: "#d33",
+      cancelButtonColor: "#3085d6",
+      confirmButtonText: "Delete",
+    });
+    if (result.isConfirmed) save(() => deleteNote(bill, noteId));
+  };
+
+  return (
+    <div>
+      {/* New Note */}
+      <div className="relative mb-3">
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => (e.ctrlKey || e.metaKey) && e.key === "Enter" && handleAdd()}
+          placeholder="Add a note or remark..."
+          rows="2"
+          className={`${inputClass} pb-10`}
+        />
+        <button
+          onClick={handleAdd}
+          disabled={saving || !draft.trim()}
+          className="absolute bottom-2 right-2 px-3 py-1 bg-blue-500 text-white text-sm rounded-lg hover:bg-blue-600 transition-all flex items-center gap-1 disabled:opacity-50"
+        >
+          <Send className="w-3 h-3" /> Add
+        </button>
+      </div>
+
+      {/* Thread, newest first */}
+      {notes.length > 0 ? (
+        <ul className={`space-y-2 overflow-y-auto ${maxHeight}`}>
+          {notes.map((note) => (
+            <li key={note._id} className="p-3 rounded-xl text-sm bg-gray-50 dark:bg-gray-700/50 border border-gray-100 dark:border-gray-700">
+              {editingId === note._id ? (
+                <div>
+                  <textarea value={editText} onChange={(e) => setEditText(e.target.value)} rows="2" className={inputClass} autoFocus />
+                  <div className="flex justify-end gap-2 mt-2">
+                    <button onClick={() => setEditingId(null)} className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-600">
+                      <X className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={handleEdit}
+                      disabled={saving || !editText.trim()}
+                      className="p-1.5 rounded-lg text-white bg-blue-500 hover:bg-blue-600 disabled:opacity-50"
+                    >
+                      <Check className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  <p className="whitespace-pre-wrap break-words text-gray-900 dark:text-white">{note.text}</p>
+                  <div className="flex items-center justify-between mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    <span>
+                      {note.by ? `${note.by} · ` : ""}
+                      {formatNoteTime(note.at)}
+                      {note.editedAt && " (edited)"}
+                    </span>
+                    {/* Notes added by a bulk action have no server id until the next fetch */}
+                    {!note.local && (
+                      <span className="flex gap-1">
+                        <button
+                          onClick={() => {
+                            setEditingId(note._id);
+                            setEditText(note.text);
+                          }}
+                          title="Edit note"
+                          className="p-1 rounded hover:text-blue-500"
+                        >
+                          <Edit2 className="w-3 h-3" />
+                        </button>
+                        <button onClick={() => handleDelete(note._id)} title="Delete note" className="p-1 rounded hover:text-red-500">
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      </span>
+                    )}
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400 flex items-center gap-1">
+          <MessageSquare className="w-4 h-4" /> No notes yet
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default NoteThread;
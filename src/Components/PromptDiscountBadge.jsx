@@ -0,0 +1,20 @@
+import React from "react";
+import { formatAmount } from "../Utils/money.js";
+import { getPromptStatus } from "../Utils/promptPayment.js";
+
+// ✅ "Save ₹X by <date>" line for bills whose prompt-payment discount can still be taken
+const PromptDiscountBadge = ({ bill }) => {
+  const { state, days, savings } = getPromptStatus(bill);
+  if (state !== "open" && state !== "today") return null;
+
+  return (
+    <div className={`flex items-center gap-2 mt-2 text-sm ${state === "today" || days <= 3 ? "font-semibold" : ""}`}>
+      <span>💸 Save {formatAmount(savings)} if paid by {bill.promptPaymentDate}</span>
+      <span className={`ml-auto px-2 py-1 rounded-full text-xs ${state === "today" ? "bg-yellow-400 text-yellow-900 font-bold" : "bg-white/20"}`}>
+        {state === "today" ? "Last day" : `${days} ${days === 1 ? "day" : "days"} left`}
+      </span>
+    </div>
+  );
+};
+
+export default PromptDiscountBadge;
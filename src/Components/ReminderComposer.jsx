@@ -0,0 +1,264 @@
+import React, { useMemo, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Download, Edit2, Loader, MessageCircle, Send, Settings, X } from "lucide-react";
+import Swal from "sweetalert2";
+import withReactContent from "sweetalert2-react-content";
+import { phoneDigits, renderTemplate, whatsappLink } from "../Utils/contact.js";
+import { recordReminders, remindersToCsv } from "../Utils/reminders.js";
+import { downloadCsv } from "../Utils/exportBills.js";
+import useMessageTemplates from "../Hooks/useMessageTemplates.js";
+import TemplateManager from "./TemplateManager.jsx";
+
+const MySwal = withReactContent(Swal);
+
+const selectClass =
+  "p-3 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white";
+
+// ✅ Campaign composer: one templated message per bill with a mobile number. Review, skip or tweak
+// individual messages, then export them as CSV or send them one by one through WhatsApp.
+// Every bill that got a message is recorded on the backend (activity + lastRemindedAt).
+// bills: null while the caller is still loading them.
+const ReminderComposer = ({ open, bills, onClose, onRecorded }) => {
+  const templates = useMessageTemplates();
+  const [templateId, setTemplateId] = useState(null);
+  const [skipped, setSkipped] = useState(new Set());
+  const [edits, setEdits] = useState({});
+  const [editingId, setEditingId] = useState(null);
+  const [queue, setQueue] = useState(null); // messages being sent one by one
+  const [sendIndex, setSendIndex] = useState(0);
+  const [sentIds, setSentIds] = useState([]);
+  const [recording, setRecording] = useState(false);
+  const [managerOpen, setManagerOpen] = useState(false);
+
+  const template = templates.find((t) => t.id === templateId) || templates[0] || null;
+
+  const recipients = useMemo(() => (bills || []).filter((b) => phoneDigits(b.mobileNo)), [bills]);
+  const messages = recipients.map((bill) => ({
+    bill,
+    phone: phoneDigits(bill.mobileNo),
+    text: edits[bill._id] ?? renderTemplate(template?.body, bill),
+  }));
+  const included = messages.filter((m) => !skipped.has(m.bill._id));
+
+  const reset = () => {
+    setSkipped(new Set());
+    setEdits({});
+    setEditingId(null);
+    setQueue(null);
+    setSendIndex(0);
+    setSentIds([]);
+  };
+
+  const toggleSkip = (id) =>
+    setSkipped((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const record = async (ids, channel) => {
+    if (!ids.length) return;
+    setRecording(true);
+    const { succeeded, failed } = await recordReminders(ids, { channel, template });
+    setRecording(false);
+    onRecorded(succeeded);
+    if (failed.length) {
+      MySwal.fire("Not all reminders were recorded", `${failed.length} of ${ids.length} bills could not be marked as messaged.`, "warning");
+    }
+  };
+
+  const handleClose = async () => {
+    // Whatever went out in send mode counts, even if the user stops halfway
+    if (queue) await record(sentIds, "whatsapp");
+    reset();
+    onClose();
+  };
+
+  const handleCsv = async () => {
+    downloadCsv(remindersToCsv(included), `reminders_${new Date().toISOString().slice(0, 10)}.csv`);
+    await record(included.map((m) => m.bill._id), "csv");
+    MySwal.fire({ icon: "success", title: `${included.length} reminders exported`, toast: true, position: "top-end", showConfirmButton: false, timer: 2500 });
+    reset();
+    onClose();
+  };
+
+  const startSending = () => {
+    setQueue(included);
+    setSendIndex(0);
+    setSentIds([]);
+  };
+
+  const current = queue?.[sendIndex];
+
+  const sendCurrent = () => {
+    window.open(whatsappLink(current.bill.mobileNo, current.text), "_blank", "noopener,noreferrer");
+    setSentIds((prev) => [...prev, current.bill._id]);
+    setSendIndex((i) => i + 1);
+  };
+
+  const remindedRecently = (bill) => bill.lastRemindedAt && Date.now() - new Date(bill.lastRemindedAt) < 24 * 60 * 60 * 1000;
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm" onClick={recording ? undefined : handleClose}>
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col p-6 text-left"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold text-gray-800 dark:text-white flex items-center gap-2">
+                <Send className="w-5 h-5 text-emerald-600" />
+                {queue ? "Sending reminders" : "Compose reminders"}
+              </h2>
+              <button
+                onClick={handleClose}
+                disabled={recording}
+                className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 transition-colors"
+              >
+                <X className="w-5 h-5 text-gray-500 dark:text-gray-300" />
+              </button>
+            </div>
+
+            {!bills ? (
+              <div className="flex items-center justify-center gap-2 py-20 text-gray-500 dark:text-gray-400">
+                <Loader className="w-6 h-6 animate-spin" /> Loading bills...
+              </div>
+            ) : queue ? (
+              /* One-by-one sending */
+              <div className="flex-1 overflow-y-auto">
+                <div className="h-2 mb-4 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                  <div className="h-full bg-emerald-500 transition-all" style={{ width: `${(sendIndex / queue.length) * 100}%` }} />
+                </div>
+                {current ? (
+                  <>
+                    <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">
+                      {sendIndex + 1} of {queue.length} · {sentIds.length} sent
+                    </p>
+                    <p className="font-bold text-gray-900 dark:text-white">
+                      {current.bill.name || "Unnamed"} · +{current.phone}
+                    </p>
+                    <p className="mt-3 p-3 rounded-xl text-sm whitespace-pre-wrap bg-green-50 text-gray-800 dark:bg-green-900/20 dark:text-gray-100">{current.text}</p>
+                    <div className="flex gap-3 mt-4">
+                      <button
+                        onClick={sendCurrent}
+                        className="flex-1 py-3 rounded-xl font-semibold flex items-center justify-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white"
+                      >
+                        <MessageCircle className="w-5 h-5" /> Open WhatsApp & next
+                      </button>
+                      <button
+                        onClick={() => setSendIndex((i) => i + 1)}
+                        className="px-6 py-3 rounded-xl font-semibold bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-white"
+                      >
+                        Skip
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <p className="py-10 text-center text-gray-700 dark:text-gray-300">
+                    Done — {sentIds.length} of {queue.length} messages opened in WhatsApp.
+                  </p>
+                )}
+                <div className="flex justify-end mt-6">
+                  <button
+                    onClick={handleClose}
+                    disabled={recording}
+                    className="px-4 py-2 rounded-xl font-semibold flex items-center gap-2 bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50"
+                  >
+                    {recording && <Loader className="w-4 h-4 animate-spin" />}
+                    {current ? "Stop & record sent" : "Finish"}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              /* Review */
+              <>
+                <div className="flex flex-wrap items-center gap-2 mb-3">
+                  <select className={`${selectClass} flex-1`} value={template?.id || ""} onChange={(e) => setTemplateId(e.target.value)}>
+                    {templates.map((t) => (
+                      <option key={t.id} value={t.id}>{t.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => setManagerOpen(true)}
+                    className="px-3 py-3 rounded-xl text-sm font-medium flex items-center gap-1 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200"
+                  >
+                    <Settings className="w-4 h-4" /> Templates
+                  </button>
+                </div>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+                  {included.length} of {recipients.length} messages selected
+                  {bills.length > recipients.length && ` · ${bills.length - recipients.length} bills without a mobile number left out`}
+                  {Object.keys(edits).length > 0 && " · edited messages keep their text when the template changes"}
+                </p>
+
+                <ul className="flex-1 overflow-y-auto space-y-2 pr-1">
+                  {messages.map(({ bill, phone, text }) => {
+                    const isSkipped = skipped.has(bill._id);
+                    return (
+                      <li key={bill._id} className={`p-3 rounded-xl border border-gray-200 dark:border-gray-700 ${isSkipped ? "opacity-50" : ""}`}>
+                        <div className="flex items-center gap-2 text-sm">
+                          <input type="checkbox" checked={!isSkipped} onChange={() => toggleSkip(bill._id)} className="w-4 h-4 accent-emerald-600" />
+                          <span className="font-semibold text-gray-900 dark:text-white truncate">{bill.name || "Unnamed"}</span>
+                          <span className="text-gray-500 dark:text-gray-400 font-mono">+{phone}</span>
+                          {remindedRecently(bill) && (
+                            <span className="px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400">
+                              Reminded {new Date(bill.lastRemindedAt).toLocaleTimeString("en-IN", { hour: "2-digit", minute: "2-digit" })}
+                            </span>
+                          )}
+                          <button
+                            onClick={() => setEditingId(editingId === bill._id ? null : bill._id)}
+                            title="Edit this message"
+                            className="ml-auto p-1 rounded text-gray-400 hover:text-blue-500"
+                          >
+                            <Edit2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                        {editingId === bill._id ? (
+                          <textarea
+                            rows={3}
+                            autoFocus
+                            className={`${selectClass} w-full mt-2 text-sm`}
+                            value={text}
+                            onChange={(e) => setEdits((prev) => ({ ...prev, [bill._id]: e.target.value }))}
+                          />
+                        ) : (
+                          <p className="mt-1 text-sm text-gray-600 dark:text-gray-300 whitespace-pre-wrap line-clamp-3">{text}</p>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+
+                <div className="flex flex-wrap justify-end gap-3 mt-4">
+                  <button
+                    onClick={handleCsv}
+                    disabled={!included.length || recording}
+                    className="px-4 py-2 rounded-xl font-semibold flex items-center gap-2 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-white disabled:opacity-50"
+                  >
+                    {recording ? <Loader className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />} Export CSV
+                  </button>
+                  <button
+                    onClick={startSending}
+                    disabled={!included.length}
+                    className="px-4 py-2 rounded-xl font-semibold flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white disabled:opacity-50"
+                  >
+                    <MessageCircle className="w-4 h-4" /> Send one by one
+                  </button>
+                </div>
+              </>
+            )}
+          </motion.div>
+
+          {managerOpen && <TemplateManager onClose={() => setManagerOpen(false)} />}
+        </div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ReminderComposer;
@@ -0,0 +1,74 @@
+import React from "react";
+import { ArrowUpDown, Plus, X, Zap } from "lucide-react";
+import { MAX_SORT_LEVELS, SORT_FIELDS, URGENT_SORT } from "../Utils/sortBills.js";
+
+const selectClass =
+  "p-3 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white";
+
+// ✅ Primary + secondary sort keys for the BillPage filter panel
+const SortControls = ({ sortBy, onChange }) => {
+  const unusedFields = SORT_FIELDS.filter((f) => !sortBy.some((s) => s.key === f.key));
+
+  const updateLevel = (index, changes) => onChange(sortBy.map((s, i) => (i === index ? { ...s, ...changes } : s)));
+  const removeLevel = (index) => onChange(sortBy.filter((_, i) => i !== index));
+  const addLevel = () => unusedFields.length && onChange([...sortBy, { key: unusedFields[0].key, dir: "asc" }]);
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-700 dark:text-gray-300 flex items-center gap-1">
+          <ArrowUpDown className="w-4 h-4" /> Sort By
+        </span>
+        <button
+          onClick={() => onChange(URGENT_SORT)}
+          className="px-3 py-1 rounded-lg text-xs font-semibold flex items-center gap-1 bg-red-100 text-red-700 hover:bg-red-200 dark:bg-red-900/30 dark:text-red-400"
+        >
+          <Zap className="w-3 h-3" /> Most urgent first
+        </button>
+      </div>
+
+      {sortBy.map((level, index) => {
+        const field = SORT_FIELDS.find((f) => f.key === level.key);
+        return (
+          <div key={level.key} className="flex gap-2 items-center">
+            <span className="w-16 text-xs text-gray-500 dark:text-gray-400 shrink-0">{index === 0 ? "First" : "Then"}</span>
+            <select
+              className={`${selectClass} flex-1`}
+              value={level.key}
+              onChange={(e) => updateLevel(index, { key: e.target.value })}
+            >
+              {SORT_FIELDS.filter((f) => f.key === level.key || !sortBy.some((s) => s.key === f.key)).map((f) => (
+                <option key={f.key} value={f.key}>{f.label}</option>
+              ))}
+            </select>
+            <select
+              className={`${selectClass} flex-1`}
+              value={level.dir}
+              onChange={(e) => updateLevel(index, { dir: e.target.value })}
+            >
+              <option value="asc">{field?.asc || "Ascending"}</option>
+              <option value="desc">{field?.desc || "Descending"}</option>
+            </select>
+            <button
+              onClick={() => removeLevel(index)}
+              className="p-2 rounded-lg text-gray-400 hover:text-red-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        );
+      })}
+
+      {sortBy.length < MAX_SORT_LEVELS && unusedFields.length > 0 && (
+        <button
+          onClick={addLevel}
+          className="self-start px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 text-blue-600 hover:bg-blue-50 dark:text-blue-400 dark:hover:bg-gray-700"
+        >
+          <Plus className="w-4 h-4" /> {sortBy.length ? "Add secondary sort" : "Add sort"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SortControls;
@@ -0,0 +1,32 @@
+import React from "react";
+import { AlertCircle, CheckCircle, Clock, XCircle } from "lucide-react";
+
+const getStatusIcon = (status) => {
+  switch (status) {
+    case "success": return <CheckCircle className="w-5 h-5" />;
+    case "pending": return <Clock className="w-5 h-5" />;
+    case "inprocess": return <AlertCircle className="w-5 h-5" />;
+    case "fail": return <XCircle className="w-5 h-5" />;
+    default: return <Clock className="w-5 h-5" />;
+  }
+};
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case "success": return "bg-green-500";
+    case "pending": return "bg-yellow-500";
+    case "inprocess": return "bg-blue-500";
+    case "fail": return "bg-red-500";
+    default: return "bg-gray-500";
+  }
+};
+
+// ✅ Coloured status tab pinned to the top-right corner of a bill card/panel
+const StatusBadge = ({ status }) => (
+  <div className={`absolute top-0 right-0 px-4 py-2 rounded-bl-2xl ${getStatusColor(status)} flex items-center gap-2 text-white`}>
+    {getStatusIcon(status)}
+    <span className="font-semibold capitalize text-sm">{status}</span>
+  </div>
+);
+
+export default StatusBadge;
@@ -0,0 +1,41 @@
+import React from "react";
+import { Cloud, CloudOff, RefreshCw } from "lucide-react";
+import useSyncStatus from "../Hooks/useSyncStatus.js";
+import { syncQueue } from "../Utils/offline.js";
+
+// ✅ Nav chip: online / offline / syncing, with the number of changes waiting to be sent
+const SyncIndicator = () => {
+  const { online, pending, syncing, lastSyncedAt } = useSyncStatus();
+
+  const label = syncing ? "Syncing" : online ? (pending ? "Not synced" : "Online") : "Offline";
+  const color = syncing
+    ? "bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400"
+    : online
+      ? pending
+        ? "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400"
+        : "bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400"
+      : "bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300";
+  const Icon = syncing ? RefreshCw : online ? Cloud : CloudOff;
+
+  const title = [
+    online ? "Connected to the server" : "No connection — showing saved data, changes are queued",
+    pending ? `${pending} change(s) waiting to sync${online ? " (click to sync now)" : ""}` : null,
+    lastSyncedAt ? `Last synced ${new Date(lastSyncedAt).toLocaleTimeString("en-IN")}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return (
+    <button
+      onClick={() => online && pending && syncQueue()}
+      title={title}
+      className={`px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 transition-colors ${color}`}
+    >
+      <Icon className={`w-4 h-4 ${syncing ? "animate-spin" : ""}`} />
+      {label}
+      {pending > 0 && <span className="ml-1 px-1.5 rounded-full text-xs font-bold bg-white/70 dark:bg-gray-900/50">{pending}</span>}
+    </button>
+  );
+};
+
+export default SyncIndicator;
@@ -0,0 +1,184 @@
+import React, { useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { motion } from "framer-motion";
+import { MessageSquare, Plus, RotateCcw, Trash2, X } from "lucide-react";
+import { DEFAULT_TEMPLATES, TEMPLATE_FIELDS, getTemplates, renderTemplate, saveTemplates } from "../Utils/contact.js";
+
+// Shown in the preview when the manager isn't opened from a bill
+const SAMPLE_BILL = {
+  name: "Ramesh Patil",
+  consumerNumber: "170012345678",
+  billMonth: "JAN-2025",
+  billAmount: "₹1,250.00",
+  billDueDate: "20-01-2025",
+  billAmountAfterDueDate: "₹1,270.00",
+  promptPaymentDate: "10-01-2025",
+  billAmountWithPromptDiscount: "₹1,237.50",
+};
+
+const inputClass =
+  "w-full p-3 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white";
+
+// ✅ Edit, add and preview the message templates used by the WhatsApp action.
+// Works on a draft copy taken when it mounts; nothing is stored until Save. Mount it only while open.
+const TemplateManager = ({ onClose, previewBill }) => {
+  const [draft, setDraft] = useState(getTemplates);
+  const [selectedId, setSelectedId] = useState(() => getTemplates()[0]?.id ?? null);
+  const bodyRef = useRef(null);
+
+  const selected = draft.find((t) => t.id === selectedId) || null;
+
+  const updateSelected = (changes) => setDraft((prev) => prev.map((t) => (t.id === selectedId ? { ...t, ...changes } : t)));
+
+  const addTemplate = () => {
+    const template = { id: `tpl-${Date.now()}`, name: "New template", body: "Namaskar {{name}}, " };
+    setDraft((prev) => [...prev, template]);
+    setSelectedId(template.id);
+  };
+
+  const deleteSelected = () => {
+    const rest = draft.filter((t) => t.id !== selectedId);
+    setDraft(rest);
+    setSelectedId(rest[0]?.id ?? null);
+  };
+
+  const resetDefaults = () => {
+    setDraft(DEFAULT_TEMPLATES);
+    setSelectedId(DEFAULT_TEMPLATES[0].id);
+  };
+
+  // Put the placeholder where the cursor is rather than at the end
+  const insertField = (key) => {
+    const textarea = bodyRef.current;
+    const token = `{{${key}}}`;
+    const body = selected.body;
+    const start = textarea?.selectionStart ?? body.length;
+    const end = textarea?.selectionEnd ?? body.length;
+    updateSelected({ body: body.slice(0, start) + token + body.slice(end) });
+    requestAnimationFrame(() => {
+      textarea?.focus();
+      textarea?.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
+
+  const handleSave = () => {
+    saveTemplates(draft.map((t) => ({ ...t, name: t.name.trim() || "Untitled" })));
+    onClose();
+  };
+
+  // Portal: cards sit inside transformed (animated / draggable) parents, which would trap a fixed overlay
+  return createPortal(
+    <div
+      className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm"
+      onClick={(e) => {
+        e.stopPropagation();
+        onClose();
+      }}
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6 text-left"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800 dark:text-white flex items-center gap-2">
+            <MessageSquare className="w-5 h-5 text-green-500" />
+            Message templates
+          </h2>
+          <button onClick={onClose} className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 transition-colors">
+            <X className="w-5 h-5 text-gray-500 dark:text-gray-300" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {/* Template list */}
+          <div className="space-y-2">
+            {draft.map((t) => (
+              <button
+                key={t.id}
+                onClick={() => setSelectedId(t.id)}
+                className={`w-full text-left px-3 py-2 rounded-xl text-sm font-medium truncate ${t.id === selectedId
+                  ? "bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400"
+                  : "text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"}`}
+              >
+                {t.name || "Untitled"}
+              </button>
+            ))}
+            <button
+              onClick={addTemplate}
+              className="w-full px-3 py-2 rounded-xl text-sm font-medium flex items-center gap-1 border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-500 hover:border-blue-500 hover:text-blue-500"
+            >
+              <Plus className="w-4 h-4" /> New template
+            </button>
+            <button
+              onClick={resetDefaults}
+              className="w-full px-3 py-2 rounded-xl text-xs flex items-center gap-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+            >
+              <RotateCcw className="w-3 h-3" /> Reset to defaults
+            </button>
+          </div>
+
+          {/* Editor + preview */}
+          <div className="md:col-span-2 space-y-3">
+            {selected ? (
+              <>
+                <input className={inputClass} value={selected.name} onChange={(e) => updateSelected({ name: e.target.value })} placeholder="Template name" />
+                <textarea
+                  ref={bodyRef}
+                  rows={5}
+                  className={inputClass}
+                  value={selected.body}
+                  onChange={(e) => updateSelected({ body: e.target.value })}
+                />
+                <div className="flex flex-wrap gap-1">
+                  {TEMPLATE_FIELDS.map((f) => (
+                    <button
+                      key={f.key}
+                      onClick={() => insertField(f.key)}
+                      title={`Insert {{${f.key}}}`}
+                      className="px-2 py-1 rounded-lg text-xs bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600"
+                    >
+                      + {f.label}
+                    </button>
+                  ))}
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+                    Preview {previewBill ? `for ${previewBill.name || "this bill"}` : "(sample bill)"}
+                  </p>
+                  <p className="p-3 rounded-xl text-sm whitespace-pre-wrap bg-green-50 text-gray-800 dark:bg-green-900/20 dark:text-gray-100">
+                    {renderTemplate(selected.body, previewBill || SAMPLE_BILL)}
+                  </p>
+                </div>
+                <button
+                  onClick={deleteSelected}
+                  className="px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 text-red-600 hover:bg-red-50 dark:text-red-400 dark:hover:bg-red-900/20"
+                >
+                  <Trash2 className="w-4 h-4" /> Delete template
+                </button>
+              </>
+            ) : (
+              <p className="py-10 text-center text-sm text-gray-500 dark:text-gray-400">No templates. Add one to start.</p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-xl font-semibold bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-white"
+          >
+            Cancel
+          </button>
+          <button onClick={handleSave} className="px-4 py-2 rounded-xl font-semibold bg-blue-500 hover:bg-blue-600 text-white">
+            Save templates
+          </button>
+        </div>
+      </motion.div>
+    </div>,
+    document.body
+  );
+};
+
+export default TemplateManager;
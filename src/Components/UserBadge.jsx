@@ -0,0 +1,40 @@
+import React, { useState } from "react";
+import { User } from "lucide-react";
+import Swal from "sweetalert2";
+import withReactContent from "sweetalert2-react-content";
+import { getUserName, setUserName } from "../Utils/currentUser.js";
+
+const MySwal = withReactContent(Swal);
+
+// ✅ Nav chip showing the name changes are logged under; click to change it
+const UserBadge = () => {
+  const [name, setName] = useState(getUserName);
+
+  const handleEdit = async () => {
+    const { value, isConfirmed } = await MySwal.fire({
+      title: "Your Name",
+      text: "Shown in the activity log next to every change you make.",
+      input: "text",
+      inputValue: name,
+      inputPlaceholder: "e.g. Priya",
+      showCancelButton: true,
+      confirmButtonColor: "#3b82f6",
+      cancelButtonColor: "#d33",
+    });
+    if (isConfirmed) setName(setUserName(value));
+  };
+
+  return (
+    <button
+      onClick={handleEdit}
+      title="Change the name your changes are logged under"
+      className={`px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 transition-colors ${name
+        ? "bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600"
+        : "bg-yellow-100 text-yellow-800 hover:bg-yellow-200 dark:bg-yellow-900/30 dark:text-yellow-400"}`}
+    >
+      <User className="w-4 h-4" /> {name || "Set your name"}
+    </button>
+  );
+};
+
+export default UserBadge;
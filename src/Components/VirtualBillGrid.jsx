@@ -0,0 +1,82 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useWindowVirtualizer } from "@tanstack/react-virtual";
+import { Loader } from "lucide-react";
+import useScrollMargin from "../Hooks/useScrollMargin.js";
+
+// Column count mirrors the old `grid-cols-1 lg:grid-cols-2 xl:grid-cols-3` breakpoints
+const getColumnCount = () => {
+  if (window.innerWidth >= 1280) return 3;
+  if (window.innerWidth >= 1024) return 2;
+  return 1;
+};
+
+const ESTIMATED_ROW_HEIGHT = 560;
+const ROW_GAP = 24;
+
+// ✅ Window-scrolled virtual grid: only the rows near the viewport are mounted.
+// Asks for the next page once the last rendered row comes into view.
+const VirtualBillGrid = ({ bills, hasMore, loading, onLoadMore, renderCard }) => {
+  const listRef = useRef(null);
+  const [columns, setColumns] = useState(getColumnCount);
+  const scrollMargin = useScrollMargin(listRef);
+
+  useEffect(() => {
+    const handleResize = () => setColumns(getColumnCount());
+    window.addEventListener("resize", handleResize);
+    return () => window.removeEventListener("resize", handleResize);
+  }, []);
+
+  const rowCount = Math.ceil(bills.length / columns);
+
+  const virtualizer = useWindowVirtualizer({
+    count: hasMore ? rowCount + 1 : rowCount,
+    estimateSize: () => ESTIMATED_ROW_HEIGHT,
+    overscan: 3,
+    gap: ROW_GAP,
+    scrollMargin,
+  });
+
+  const virtualRows = virtualizer.getVirtualItems();
+  const lastRowIndex = virtualRows.length ? virtualRows[virtualRows.length - 1].index : -1;
+
+  useEffect(() => {
+    if (lastRowIndex >= rowCount - 1 && hasMore && !loading) onLoadMore();
+  }, [lastRowIndex, rowCount, hasMore, loading, onLoadMore]);
+
+  return (
+    <div ref={listRef} className="relative w-full" style={{ height: virtualizer.getTotalSize() }}>
+      {virtualRows.map((row) => {
+        const isLoaderRow = row.index >= rowCount;
+        const rowBills = bills.slice(row.index * columns, row.index * columns + columns);
+
+        return (
+          <div
+            key={row.key}
+            data-index={row.index}
+            ref={virtualizer.measureElement}
+            className="absolute top-0 left-0 w-full"
+            style={{ transform: `translateY(${row.start - virtualizer.options.scrollMargin}px)` }}
+          >
+            {isLoaderRow ? (
+              <div className="flex items-center justify-center gap-2 py-8 text-gray-500 dark:text-gray-400">
+                <Loader className="w-5 h-5 animate-spin" />
+                Loading more bills...
+              </div>
+            ) : (
+              <div
+                className="grid gap-6"
+                style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}
+              >
+                {rowBills.map((bill) => (
+                  <React.Fragment key={bill._id}>{renderCard(bill)}</React.Fragment>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default VirtualBillGrid;
@@ -0,0 +1,153 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { parseAmount } from "../Utils/money.js";
+import { serializeSort } from "../Utils/sortBills.js";
+import { SEARCH_FIELDS } from "../Utils/searchBills.js";
+
+export const PAGE_SIZE = 30;
+
+// ✅ Translate BillPage filter state into /api/bills query params
+export const buildBillQuery = (filters) => {
+  const params = {};
+  // `search` / `searchFields` follow the matching rules in Utils/searchBills.js
+  if (filters.search?.trim()) {
+    params.search = filters.search.trim();
+    params.searchFields = SEARCH_FIELDS.join(",");
+  }
+  if (filters.statusFilter) params.status = filters.statusFilter;
+  // Exact match: every bill of one consumer (consumer history)
+  if (filters.consumerNumber) params.consumerNumber = filters.consumerNumber;
+  // Users type "5,000" or "₹5000"; the backend compares plain numbers
+  const minAmount = parseAmount(filters.minAmount);
+  const maxAmount = parseAmount(filters.maxAmount);
+  if (minAmount != null) params.minAmount = minAmount;
+  if (maxAmount != null) params.maxAmount = maxAmount;
+  if (filters.showWithMobile) params.hasMobile = true;
+  if (filters.showWithBill) params.hasBill = true;
+  if (filters.overdueOnly) params.overdue = true;
+  // Unpaid bills with a prompt discount whose promptPaymentDate falls within today … today + N days
+  if (filters.promptWithin) params.promptWithinDays = Number(filters.promptWithin);
+  // Inclusive bill-month range as "YYYY-MM"; the backend reads billMonth, falling back to billDate (billMonthKey)
+  if (filters.fromMonth) params.fromMonth = filters.fromMonth;
+  if (filters.toMonth) params.toMonth = filters.toMonth;
+  // Only bills with a followUpAt set (agenda)
+  if (filters.hasFollowUp) params.hasFollowUp = true;
+  if (filters.sortBy?.length) params.sort = serializeSort(filters.sortBy);
+  return params;
+};
+
+// Backend may answer with a bare array (legacy) or { data, nextCursor, hasMore, total, statusCount }
+export const normalizePage = (payload) => {
+  if (Array.isArray(payload)) {
+    return { items: payload, nextCursor: null, hasMore: false, total: payload.length, statusCount: null, totalAmount: null };
+  }
+  const items = Array.isArray(payload?.data) ? payload.data : [];
+  const nextCursor = payload?.nextCursor ?? null;
+  return {
+    items,
+    nextCursor,
+    hasMore: payload?.hasMore ?? Boolean(nextCursor),
+    total: payload?.total ?? null,
+    statusCount: payload?.statusCount ?? null,
+    totalAmount: payload?.totalAmount ?? null,
+  };
+};
+
+// ✅ Walk every page for the given filters (bulk actions, exports)
+export const fetchAllBills = async (filters, pageSize = 200) => {
+  const all = [];
+  let cursor = null;
+  do {
+    const params = { ...buildBillQuery(filters), limit: pageSize };
+    if (cursor) params.cursor = cursor;
+    const res = await axios.get("/api/bills", { params });
+    const page = normalizePage(res.data);
+    all.push(...page.items);
+    cursor = page.hasMore ? page.nextCursor : null;
+  } while (cursor);
+  return all;
+};
+
+// ✅ Cursor-paginated bill loader. Refetches from the first page whenever the query changes.
+const useInfiniteBills = (filters) => {
+  const [bills, setBills] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [statusCount, setStatusCount] = useState(null);
+  const [totalAmount, setTotalAmount] = useState(null);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const cursorRef = useRef(null);
+  const inFlightRef = useRef(null);
+  const query = JSON.stringify(buildBillQuery(filters));
+
+  const fetchPage = useCallback(async (reset) => {
+    if (inFlightRef.current && !reset) return;
+    inFlightRef.current?.abort();
+
+    const controller = new AbortController();
+    inFlightRef.current = controller;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = { ...JSON.parse(query), limit: PAGE_SIZE };
+      if (!reset && cursorRef.current) params.cursor = cursorRef.current;
+
+      const res = await axios.get("/api/bills", { params, signal: controller.signal });
+      const page = normalizePage(res.data);
+
+      cursorRef.current = page.nextCursor;
+      setBills((prev) => (reset ? page.items : [...prev, ...page.items]));
+      setHasMore(page.hasMore);
+      if (reset || page.total != null) setTotal(page.total);
+      if (reset || page.statusCount) setStatusCount(page.statusCount);
+      if (reset || page.totalAmount != null) setTotalAmount(parseAmount(page.totalAmount));
+    } catch (err) {
+      if (axios.isCancel(err)) return;
+      console.error("❌ Fetch error:", err);
+      setError(err);
+      setHasMore(false);
+    } finally {
+      if (inFlightRef.current === controller) {
+        inFlightRef.current = null;
+        setLoading(false);
+      }
+    }
+  }, [query]);
+
+  useEffect(() => {
+    cursorRef.current = null;
+    setHasMore(true);
+    fetchPage(true);
+  }, [fetchPage]);
+
+  useEffect(() => () => inFlightRef.current?.abort(), []);
+
+  const loadMore = useCallback(() => {
+    if (hasMore && !inFlightRef.current) fetchPage(false);
+  }, [hasMore, fetchPage]);
+
+  const reload = useCallback(() => {
+    cursorRef.current = null;
+    setHasMore(true);
+    fetchPage(true);
+  }, [fetchPage]);
+
+  return {
+    bills,
+    setBills,
+    total: total ?? bills.length,
+    setTotal,
+    statusCount,
+    totalAmount,
+    hasMore,
+    loading,
+    error,
+    loadMore,
+    reload,
+  };
+};
+
+export default useInfiniteBills;
@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { buildBillQuery, normalizePage } from "./useInfiniteBills.js";
+
+describe("normalizePage", () => {
+  it("reads the paginated shape", () => {
+    const page = normalizePage({ data: [{ _id: "a" }], nextCursor: "c1", total: 40, totalAmount: "₹1,000" });
+    expect(page).toMatchObject({ items: [{ _id: "a" }], nextCursor: "c1", hasMore: true, total: 40, totalAmount: "₹1,000" });
+  });
+
+  it("treats a bare array as the whole (legacy) result", () => {
+    expect(normalizePage([{ _id: "a" }, { _id: "b" }])).toMatchObject({ hasMore: false, total: 2, nextCursor: null });
+  });
+
+  it("never turns a response without data into a bill row", () => {
+    expect(normalizePage({ hasMore: false, total: 0 }).items).toEqual([]);
+    expect(normalizePage(null).items).toEqual([]);
+    expect(normalizePage("").items).toEqual([]);
+  });
+});
+
+describe("buildBillQuery", () => {
+  it("only sends filters that are set, amounts as plain numbers", () => {
+    expect(buildBillQuery({ search: "  ", statusFilter: "", minAmount: "₹5,000", maxAmount: "abc", overdueOnly: true })).toEqual({
+      minAmount: 5000,
+      overdue: true,
+    });
+  });
+});
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from "react";
+import { getTemplates, subscribeTemplates } from "../Utils/contact.js";
+
+// ✅ Current WhatsApp/SMS message templates; re-renders when the template manager saves
+const useMessageTemplates = () => useSyncExternalStore(subscribeTemplates, getTemplates);
+
+export default useMessageTemplates;
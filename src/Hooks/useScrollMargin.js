@@ -0,0 +1,21 @@
+import { useLayoutEffect, useState } from "react";
+
+// ✅ Distance from the top of the document to `ref`, kept current while content above it
+// (filters panel, counters) changes height. Window virtualizers need it as `scrollMargin`.
+const useScrollMargin = (ref) => {
+  const [scrollMargin, setScrollMargin] = useState(0);
+
+  useLayoutEffect(() => {
+    const measure = () => {
+      if (ref.current) setScrollMargin(ref.current.getBoundingClientRect().top + window.scrollY);
+    };
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, [ref]);
+
+  return scrollMargin;
+};
+
+export default useScrollMargin;
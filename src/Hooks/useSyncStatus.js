@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from "react";
+import { getSyncStatus, subscribeSyncStatus } from "../Utils/offline.js";
+
+// ✅ { online, pending, syncing, lastSyncedAt, dataVersion } from the offline layer, kept live
+const useSyncStatus = () => useSyncExternalStore(subscribeSyncStatus, getSyncStatus);
+
+export default useSyncStatus;
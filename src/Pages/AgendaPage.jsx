@@ -0,0 +1,125 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import axios from "axios";
+import { BellRing, CalendarClock, Check, Loader } from "lucide-react";
+import Swal from "sweetalert2";
+import withReactContent from "sweetalert2-react-content";
+import { fetchAllBills } from "../Hooks/useInfiniteBills.js";
+import { formatFollowUp, groupAgenda } from "../Utils/followUps.js";
+import { patchInList, runMutation } from "../Utils/mutations.js";
+import { displayAmount } from "../Utils/money.js";
+import { billPath } from "../Utils/billLinks.js";
+import ContactActions from "../Components/ContactActions.jsx";
+
+const MySwal = withReactContent(Swal);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SECTIONS = [
+  { key: "overdue", title: "Overdue", empty: "Nothing overdue.", accent: "text-red-600 dark:text-red-400" },
+  { key: "today", title: "Today", empty: "Nothing else due today.", accent: "text-yellow-600 dark:text-yellow-400" },
+  { key: "upcoming", title: "Upcoming", empty: "Nothing scheduled after today.", accent: "text-blue-600 dark:text-blue-400" },
+];
+
+// ✅ Follow-ups to work through: overdue first, then the rest of today, then what's coming up
+const AgendaPage = () => {
+  const [bills, setBills] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchAllBills({ hasFollowUp: true })
+      .then(setBills)
+      .catch((err) => {
+        console.error("❌ Error fetching follow-ups:", err);
+        MySwal.fire("Error!", "Could not load follow-ups.", "error");
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const agenda = useMemo(() => groupAgenda(bills), [bills]);
+  const total = agenda.overdue.length + agenda.today.length + agenda.upcoming.length;
+
+  const setFollowUp = (billId, followUpAt, label) =>
+    runMutation({
+      label,
+      ...patchInList(setBills, billId, { followUpAt }),
+      request: () => axios.put(`/api/bills/${billId}`, { followUpAt }),
+    });
+
+  // Snoozing an overdue follow-up moves it a day from now, not a day from when it was due
+  const snooze = ({ bill, date }) => {
+    const from = Math.max(date.getTime(), Date.now());
+    setFollowUp(bill._id, new Date(from + DAY_MS).toISOString(), "Snooze follow-up");
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto p-4 md:p-6 lg:p-8">
+      {/* Header */}
+      <div className="flex items-center gap-3 mb-6">
+        <div className="p-3 rounded-xl bg-amber-500">
+          <CalendarClock className="w-6 h-6 text-white" />
+        </div>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Agenda</h1>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {agenda.overdue.length} overdue · {agenda.today.length} today · {agenda.upcoming.length} upcoming
+          </p>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center gap-2 py-20 text-gray-500 dark:text-gray-400">
+          <Loader className="w-6 h-6 animate-spin" /> Loading...
+        </div>
+      ) : !total ? (
+        <div className="text-center py-20 text-gray-500 dark:text-gray-400">
+          <BellRing className="w-12 h-12 mx-auto mb-3 opacity-50" />
+          No follow-ups scheduled. Set one from a bill card or the pipeline.
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {SECTIONS.map((section) => (
+            <div key={section.key} className="p-5 rounded-2xl shadow bg-white dark:bg-gray-800 dark:border dark:border-gray-700">
+              <h2 className={`font-bold mb-3 ${section.accent}`}>
+                {section.title} <span className="text-sm font-normal text-gray-500 dark:text-gray-400">({agenda[section.key].length})</span>
+              </h2>
+              {!agenda[section.key].length ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">{section.empty}</p>
+              ) : (
+                <ul className="divide-y divide-gray-100 dark:divide-gray-700/50">
+                  {agenda[section.key].map((item) => (
+                    <li key={item.bill._id} className="flex flex-wrap items-center gap-3 py-3">
+                      <span className={`w-36 shrink-0 text-sm font-semibold ${section.accent}`}>{formatFollowUp(item.bill.followUpAt)}</span>
+                      <div className="flex-1 min-w-0">
+                        <Link to={billPath(item.bill._id)} className="font-medium text-blue-600 hover:underline dark:text-blue-400">
+                          {item.bill.name || "Unnamed"}
+                        </Link>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                          {item.bill.consumerNumber} · {displayAmount(item.bill.amountToPay ?? item.bill.billAmount)} · {item.bill.status}
+                        </p>
+                      </div>
+                      <ContactActions bill={item.bill} size="sm" />
+                      <button
+                        onClick={() => snooze(item)}
+                        className="px-2 py-1 rounded-lg text-xs font-medium bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200"
+                      >
+                        +1 day
+                      </button>
+                      <button
+                        onClick={() => setFollowUp(item.bill._id, null, "Complete follow-up")}
+                        className="px-2 py-1 rounded-lg text-xs font-medium flex items-center gap-1 bg-blue-500 hover:bg-blue-600 text-white"
+                      >
+                        <Check className="w-3 h-3" /> Done
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AgendaPage;
@@ -0,0 +1,234 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import axios from "axios";
+import { ArrowLeft, Calendar, Loader, Receipt, AlertCircle, Printer, RotateCcw, Trash2 } from "lucide-react";
+import { BILL_COLUMNS } from "../Utils/billColumns.js";
+import { displayAmount } from "../Utils/money.js";
+import { billUrl } from "../Utils/billLinks.js";
+import { restoreBill } from "../Utils/trash.js";
+import { patchItem, runMutation } from "../Utils/mutations.js";
+import DueDateBadge from "../Components/DueDateBadge.jsx";
+import StatusBadge from "../Components/StatusBadge.jsx";
+import CopyLinkButton from "../Components/CopyLinkButton.jsx";
+import ActivityTimeline from "../Components/ActivityTimeline.jsx";
+import NoteThread from "../Components/NoteThread.jsx";
+import ContactActions from "../Components/ContactActions.jsx";
+import { printBillSlips } from "../Utils/printSlips.js";
+import FollowUpPicker from "../Components/FollowUpPicker.jsx";
+
+// Status, priority and note get their own controls below the field list
+const DETAIL_COLUMNS = BILL_COLUMNS.filter((c) => !["status", "priority", "note"].includes(c.key));
+
+const selectClass =
+  "w-full p-3 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white";
+
+// ✅ Full page for one bill at /bills/:id, so a bill can be shared as a link
+const BillDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [bill, setBill] = useState(null);
+  const [stages, setStages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [activityVersion, setActivityVersion] = useState(0);
+
+  useEffect(() => {
+    const fetchBill = async () => {
+      setLoading(true);
+      setNotFound(false);
+      try {
+        const [billRes, stageRes] = await Promise.all([axios.get(`/api/bills/${id}`), axios.get("/api/stages")]);
+        const data = billRes.data?.data ?? billRes.data;
+        setBill(data);
+        setNotFound(!data);
+        setStages(stageRes.data?.data || []);
+      } catch (err) {
+        console.error("❌ Error fetching bill:", err);
+        setNotFound(true);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchBill();
+  }, [id]);
+
+  const handleUpdate = (field, value) => {
+    const changes = { [field]: value };
+    runMutation({
+      label: "Update",
+      ...patchItem(setBill, changes),
+      request: () => axios.put(`/api/bills/${id}`, changes),
+      onSuccess: () => setActivityVersion((v) => v + 1),
+    });
+  };
+
+  const handleRestore = () => {
+    runMutation({
+      label: "Restore",
+      ...patchItem(setBill, { deletedAt: null }),
+      request: () => restoreBill(id),
+      onSuccess: () => setActivityVersion((v) => v + 1),
+    });
+  };
+
+  // Back to wherever the link was opened from; a pasted link has no history, so fall back to the bill list
+  const goBack = () => (window.history.state?.idx > 0 ? navigate(-1) : navigate("/"));
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center gap-2 py-20 text-gray-500 dark:text-gray-400">
+        <Loader className="w-6 h-6 animate-spin" /> Loading bill...
+      </div>
+    );
+  }
+
+  if (notFound) {
+    return (
+      <div className="max-w-lg mx-auto text-center py-20">
+        <AlertCircle className="w-12 h-12 mx-auto mb-4 text-red-500" />
+        <h2 className="text-xl font-bold mb-2 text-gray-900 dark:text-white">Bill not found</h2>
+        <p className="mb-6 text-gray-600 dark:text-gray-400">It may have been deleted, or the link is incomplete.</p>
+        <Link to="/" className="px-4 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700">
+          Back to bills
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto p-4 md:p-6 lg:p-8">
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <button
+          onClick={goBack}
+          className="px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 text-gray-700 hover:bg-gray-100 dark:text-gray-200 dark:hover:bg-gray-800"
+        >
+          <ArrowLeft className="w-4 h-4" /> Back
+        </button>
+        <div className="flex gap-2">
+          <ContactActions bill={bill} />
+          <button
+            onClick={() => printBillSlips([bill])}
+            className="px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200"
+          >
+            <Printer className="w-4 h-4" /> Print slip
+          </button>
+          <CopyLinkButton url={billUrl(bill._id)} />
+        </div>
+      </div>
+
+      {/* Deleted bills can still be opened from an old link */}
+      {bill.deletedAt && (
+        <div className="flex flex-wrap items-center justify-between gap-3 p-4 mb-4 rounded-xl bg-red-50 text-red-700 dark:bg-red-900/30 dark:text-red-400">
+          <span className="flex items-center gap-2 font-medium">
+            <Trash2 className="w-5 h-5" /> This bill is in the Trash.
+          </span>
+          <button
+            onClick={handleRestore}
+            className="px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 bg-white text-red-700 hover:bg-red-100 dark:bg-gray-800 dark:text-red-400"
+          >
+            <RotateCcw className="w-4 h-4" /> Restore
+          </button>
+        </div>
+      )}
+
+      <div className="relative rounded-2xl shadow-xl overflow-hidden bg-white dark:bg-gray-800 dark:border dark:border-gray-700">
+        <StatusBadge status={bill.status} />
+
+        <div className="p-6">
+          <h1 className="text-2xl font-bold mb-2 mt-8 pr-20 text-gray-900 dark:text-white">{bill.name}</h1>
+          <p className="mb-6 text-sm text-gray-600 dark:text-gray-400 flex items-center gap-2">
+            <Receipt className="w-4 h-4" /> {bill.consumerNumber}
+          </p>
+
+          {/* Amount Highlight */}
+          <div className="p-5 rounded-xl mb-6 bg-gradient-to-r from-blue-600 to-purple-600 text-white">
+            <p className="text-sm opacity-90">Bill Amount</p>
+            <p className="text-4xl font-bold mt-1">{displayAmount(bill.billAmount)}</p>
+            <div className="flex items-center gap-2 mt-2 text-sm">
+              <Calendar className="w-4 h-4" />
+              <span>Due: {bill.billDueDate}</span>
+              <DueDateBadge dueDate={bill.billDueDate} />
+            </div>
+          </div>
+
+          {/* All Fields */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 mb-6 text-sm">
+            {DETAIL_COLUMNS.map((column) => (
+              <div key={column.key} className="flex justify-between gap-4 py-2 border-b border-gray-200 dark:border-gray-700">
+                <span className="text-gray-600 dark:text-gray-400">{column.label}</span>
+                <span className="font-semibold text-right text-gray-900 dark:text-white">
+                  {column.type === "amount" ? displayAmount(bill[column.key]) : bill[column.key] || "—"}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          {/* Status / Priority / Stage */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div>
+              <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">Status</label>
+              <select value={bill.status} onChange={(e) => handleUpdate("status", e.target.value)} className={selectClass}>
+                <option value="pending">Pending</option>
+                <option value="inprocess">In Process</option>
+                <option value="success">Success</option>
+                <option value="fail">Fail</option>
+              </select>
+            </div>
+            {/* Priority and stage only apply while the bill is in the pipeline */}
+            {bill.status === "inprocess" && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">Priority</label>
+                  <select value={bill.priority || "none"} onChange={(e) => handleUpdate("priority", e.target.value)} className={selectClass}>
+                    <option value="p1">🔥 P1</option>
+                    <option value="p2">⚡ P2</option>
+                    <option value="p3">🔹 P3</option>
+                    <option value="none">None</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">Pipeline Stage</label>
+                  <select
+                    value={bill.stageId || ""}
+                    onChange={(e) => handleUpdate("stageId", e.target.value || null)}
+                    disabled={!stages.length}
+                    className={selectClass}
+                  >
+                    {/* The pipeline board lists unstaged bills in its first column, but they have no stage yet */}
+                    <option value="">{stages.length ? "No stage" : "No stages yet"}</option>
+                    {stages.map((stage) => (
+                      <option key={stage._id} value={stage._id}>{stage.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="mb-6 md:w-1/2">
+            <FollowUpPicker value={bill.followUpAt} onChange={(value) => handleUpdate("followUpAt", value)} />
+          </div>
+
+          {/* Notes */}
+          <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">Notes</label>
+          <NoteThread
+            bill={bill}
+            onChange={(patch) => {
+              setBill((prev) => ({ ...prev, ...patch }));
+              setActivityVersion((v) => v + 1);
+            }}
+            maxHeight="max-h-96"
+          />
+
+          {/* Activity Log */}
+          <div className="mt-8 pt-6 border-t border-gray-200 dark:border-gray-700">
+            <ActivityTimeline billId={bill._id} stages={stages} refreshKey={activityVersion} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BillDetail;
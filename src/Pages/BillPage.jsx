@@ -1,47 +1,132 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import axios from "axios";
 import { motion, AnimatePresence } from "framer-motion";
-import { Search, Filter, TrendingUp, TrendingDown, Phone, Calendar, AlertCircle, CheckCircle, Clock, XCircle, Trash2, Sun, Moon, Receipt, Zap } from "lucide-react";
+import { Search, Filter, Phone, AlertCircle, AlarmClock, BadgePercent, CheckCircle, Clock, Receipt, CheckSquare, Download, LayoutGrid, Printer, Send, Table } from "lucide-react";
 import Swal from "sweetalert2";
 import withReactContent from "sweetalert2-react-content";
+import BillCard from "../Components/BillCard.jsx";
+import VirtualBillGrid from "../Components/VirtualBillGrid.jsx";
+import BillTable from "../Components/BillTable.jsx";
+import SortControls from "../Components/SortControls.jsx";
+import FilterPresets from "../Components/FilterPresets.jsx";
+import BulkActionBar from "../Components/BulkActionBar.jsx";
+import ExportDialog from "../Components/ExportDialog.jsx";
+import ReminderComposer from "../Components/ReminderComposer.jsx";
+import { printBillSlips } from "../Utils/printSlips.js";
+import useInfiniteBills, { fetchAllBills } from "../Hooks/useInfiniteBills.js";
+import useSyncStatus from "../Hooks/useSyncStatus.js";
+import { runBillBatch } from "../Utils/billBatch.js";
+import { downloadBillsCsv, downloadBillsXlsx } from "../Utils/exportBills.js";
+import { formatAmount, sumAmounts } from "../Utils/money.js";
+import { DEFAULT_PROMPT_WINDOW_DAYS, getPromptStatus } from "../Utils/promptPayment.js";
+import { PROMPT_SORT } from "../Utils/sortBills.js";
+import { filtersFromQuery, filtersToQuery } from "../Utils/filterParams.js";
+import { threadNotes } from "../Utils/notes.js";
+import { getUserName } from "../Utils/currentUser.js";
+import { correctionChanges } from "../Utils/billFields.js";
+import { restoreBill, trashBill } from "../Utils/trash.js";
+import { showUndoToast } from "../Utils/undoToast.js";
+import { patchInList, removeFromList, runMutation } from "../Utils/mutations.js";
 
 
 
 // axios config moved to App.jsx
 
+const SEARCH_DEBOUNCE_MS = 400;
+const LAST_QUERY_KEY = "billFiltersLastQuery";
+const PROMPT_WINDOW_OPTIONS = [1, 3, 7, 14, 30];
+// More slips than this asks before opening the print dialog
+const PRINT_CONFIRM_OVER = 200;
+
 const BillPage = ({ theme }) => {
-  const [bills, setBills] = useState([]);
-  const [filteredBills, setFilteredBills] = useState([]);
-  const [search, setSearch] = useState("");
-  const [statusFilter, setStatusFilter] = useState("");
-  const [minAmount, setMinAmount] = useState("");
-  const [maxAmount, setMaxAmount] = useState("");
-  const [showWithMobile, setShowWithMobile] = useState(false);
-  const [showWithBill, setShowWithBill] = useState(false);
-  const [sortOrder, setSortOrder] = useState("");
+  const [searchParams, setSearchParams] = useSearchParams();
+  // A bare "/" (nav link, reload without params) falls back to the last filters used on this page
+  const [initialFilters] = useState(() =>
+    filtersFromQuery(searchParams.toString() || localStorage.getItem(LAST_QUERY_KEY) || "")
+  );
+
+  const [search, setSearch] = useState(initialFilters.search);
+  const [debouncedSearch, setDebouncedSearch] = useState(initialFilters.search);
+  const [statusFilter, setStatusFilter] = useState(initialFilters.statusFilter);
+  const [minAmount, setMinAmount] = useState(initialFilters.minAmount);
+  const [maxAmount, setMaxAmount] = useState(initialFilters.maxAmount);
+  const [showWithMobile, setShowWithMobile] = useState(initialFilters.showWithMobile);
+  const [showWithBill, setShowWithBill] = useState(initialFilters.showWithBill);
+  const [overdueOnly, setOverdueOnly] = useState(initialFilters.overdueOnly);
+  const [promptWithin, setPromptWithin] = useState(initialFilters.promptWithin); // days ahead, "" = off
+  const [sortBy, setSortBy] = useState(initialFilters.sortBy); // [{ key, dir }] — see Utils/sortBills.js
   // theme prop is now passed from App.jsx
   const [expandedCard, setExpandedCard] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
+  const [viewMode, setViewMode] = useState(localStorage.getItem("billView") || "cards"); // cards, table
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [allMatching, setAllMatching] = useState(false);
+  const [bulkProgress, setBulkProgress] = useState(null);
+  const [showExport, setShowExport] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [showReminders, setShowReminders] = useState(false);
+  const [reminderBills, setReminderBills] = useState(null); // null while loading
 
   const MySwal = withReactContent(Swal);
 
-  // ✅ Fetch bills from backend
+  // ✅ Don't hit the backend on every keystroke
   useEffect(() => {
-    const fetchBills = async () => {
-      try {
-        const res = await axios.get("/api/bills");
-        console.log("✅ API Response:", res.data);
-        const data = res.data;
-        if (Array.isArray(data)) setBills(data);
-        else if (data?.data) setBills(data.data);
-        else if (data) setBills([data]);
-        else setBills([]);
-      } catch (err) {
-        console.error("❌ Fetch error:", err);
-      }
-    };
-    fetchBills();
-  }, []);
+    const timer = setTimeout(() => setDebouncedSearch(search), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const filters = {
+    search: debouncedSearch,
+    statusFilter,
+    minAmount,
+    maxAmount,
+    showWithMobile,
+    showWithBill,
+    overdueOnly,
+    promptWithin,
+    sortBy,
+  };
+  const filterQuery = filtersToQuery(filters);
+
+  // ✅ Keep the URL (bookmarks, shared links) and the remembered query in step with the filters
+  useEffect(() => {
+    setSearchParams(filterQuery, { replace: true });
+    localStorage.setItem(LAST_QUERY_KEY, filterQuery);
+  }, [filterQuery, setSearchParams]);
+
+  const applyFilterQuery = (query) => {
+    const next = filtersFromQuery(query);
+    setSearch(next.search);
+    setDebouncedSearch(next.search);
+    setStatusFilter(next.statusFilter);
+    setMinAmount(next.minAmount);
+    setMaxAmount(next.maxAmount);
+    setShowWithMobile(next.showWithMobile);
+    setShowWithBill(next.showWithBill);
+    setOverdueOnly(next.overdueOnly);
+    setPromptWithin(next.promptWithin);
+    setSortBy(next.sortBy);
+  };
+
+  // ✅ Fetch bills page by page; filtering + sorting happen on the backend
+  const { bills, setBills, total, setTotal, statusCount: serverStatusCount, totalAmount: serverTotalAmount, hasMore, loading, loadMore, reload } = useInfiniteBills(filters);
+
+  // ✅ Refetch when an offline sync had to discard or override some of our local changes
+  const { dataVersion } = useSyncStatus();
+  const seenDataVersion = useRef(dataVersion);
+  useEffect(() => {
+    if (seenDataVersion.current === dataVersion) return;
+    seenDataVersion.current = dataVersion;
+    reload();
+  }, [dataVersion, reload]);
+
+  // ✅ A selection only makes sense for the result set it was made on
+  useEffect(() => {
+    setSelectedIds(new Set());
+    setAllMatching(false);
+  }, [debouncedSearch, statusFilter, minAmount, maxAmount, showWithMobile, showWithBill, overdueOnly, promptWithin, sortBy]);
 
   // ✅ Fetch bills from backend
   useEffect(() => {
@@ -56,148 +141,297 @@ const BillPage = ({ theme }) => {
     fetchBills();
   }, []);
 
-  // ✅ Filtering + Sorting
-  useEffect(() => {
-    let filtered = bills.filter((bill) => {
-      const amountToPay = parseInt(bill.amountToPay?.replace(/[^\d]/g, "") || 0);
-      const billAmount = parseInt(bill.billAmount?.replace(/[^\d]/g, "") || 0);
-
-      return (
-        (!search || bill.name?.toLowerCase().includes(search.toLowerCase())) &&
-        (!statusFilter || bill.status === statusFilter) &&
-        (!showWithMobile || bill.mobileNo) &&
-        (!minAmount || amountToPay >= parseInt(minAmount)) &&
-        (!maxAmount || amountToPay <= parseInt(maxAmount)) &&
-        (!showWithBill || billAmount > 0)
-      );
+  // ✅ Update API call
+  // ✅ Status / priority changes show immediately and roll back if the server rejects them
+  const handleUpdate = (id, field, value) => {
+    const changes = { [field]: value };
+    runMutation({
+      label: "Update",
+      ...patchInList(setBills, id, changes),
+      request: () => axios.put(`/api/bills/${id}`, changes),
     });
+  };
 
-    if (sortOrder) {
-      filtered.sort((a, b) => {
-        const aAmt = parseInt(a.amountToPay?.replace(/[^\d]/g, "") || 0);
-        const bAmt = parseInt(b.amountToPay?.replace(/[^\d]/g, "") || 0);
-        return sortOrder === "asc" ? aAmt - bAmt : bAmt - aAmt;
-      });
-    }
+  // ✅ Hand correction of a scraped field; the bill remembers the scanned value (correctedFields)
+  const handleCorrect = (bill, key, value) => {
+    const changes = correctionChanges(bill, key, value, getUserName());
+    runMutation({
+      label: "Correction",
+      ...patchInList(setBills, bill._id, changes),
+      request: () => axios.put(`/api/bills/${bill._id}`, changes),
+    });
+  };
 
-    setFilteredBills(filtered);
-  }, [bills, search, statusFilter, minAmount, maxAmount, showWithMobile, showWithBill, sortOrder]);
+  // ✅ Soft delete: the bill goes to the Trash and can be brought back from the Undo toast
+  const handleDelete = async (id) => {
+    const removal = removeFromList(setBills, id);
+    const adjustTotal = (delta) => setTotal((prev) => (prev == null ? prev : prev + delta));
+    const hide = () => {
+      removal.apply();
+      adjustTotal(-1);
+    };
+    const show = () => {
+      removal.rollback();
+      adjustTotal(1);
+    };
 
-  // ✅ Update API call
-  const handleUpdate = async (id, field, value) => {
+    const deleted = await runMutation({ label: "Delete", apply: hide, rollback: show, request: () => trashBill(id) });
+    if (!deleted) return;
+
+    // Undo is the same mutation in reverse; the bill goes back where it was so the list doesn't jump
+    showUndoToast("Bill moved to Trash", () =>
+      runMutation({ label: "Restore", apply: show, rollback: hide, request: () => restoreBill(id) })
+    );
+  };
+
+  // ✅ Bulk Selection
+  const toggleSelect = (id) => {
+    setAllMatching(false);
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const exitSelection = () => {
+    setSelectionMode(false);
+    setSelectedIds(new Set());
+    setAllMatching(false);
+  };
+
+  // The selected bills, or every bill matching the filter; null (after telling the user) if that can't be loaded
+  const resolveSelection = async () => {
     try {
-      await axios.put(`/api/bills/${id}`, { [field]: value });
-
-      setBills((prev) =>
-        prev.map((b) => (b._id === id ? { ...b, [field]: value } : b))
-      );
-
-      // 🎉 Success popup with inline styles
-      Swal.fire({
-        title:
-          "<h3 style='font-size:16px; font-weight:600; margin:0;'>Updated Successfully!</h3>",
-        icon: "success",
-        position: "center",
-        timer: 1800,
-        showConfirmButton: false,
-        background: "#fff",
-        width: "260px",
-        didOpen: (popup) => {
-          popup.style.borderRadius = "0px"; // Square shape
-          popup.style.padding = "1.2rem"; // Inline padding
-          popup.style.boxShadow = "0 4px 15px rgba(0, 0, 0, 0.15)";
-        },
-      });
+      return allMatching ? await fetchAllBills(filters) : bills.filter((b) => selectedIds.has(b._id));
     } catch (err) {
-      console.error("❌ Update failed:", err);
-
-      Swal.fire({
-        title:
-          "<h3 style='font-size:16px; font-weight:600; margin:0;'>Error while updating!</h3>",
-        icon: "error",
-        background: "#fff",
-        confirmButtonColor: "#d33",
-        width: "260px",
-        didOpen: (popup) => {
-          popup.style.borderRadius = "0px";
-          popup.style.padding = "1.2rem";
-          popup.style.boxShadow = "0 4px 15px rgba(0, 0, 0, 0.15)";
-        },
-      });
+      console.error("❌ Could not resolve selection:", err);
+      MySwal.fire("Error!", "Could not load the bills matching this filter.", "error");
+      return null;
     }
   };
 
+  // `undo(succeededIds)`, when given, adds an Undo button to the result summary
+  const runBulk = async (operation, applyLocally, undo) => {
+    const targets = await resolveSelection();
+    if (!targets?.length) return;
 
-  const handleDelete = async (id) => {
+    setBulkProgress({ current: 0, total: targets.length });
+    const { succeeded, failed } = await runBillBatch(targets.map((b) => b._id), operation, setBulkProgress);
+    setBulkProgress(null);
+
+    if (allMatching) {
+      reload();
+    } else {
+      applyLocally(new Set(succeeded));
+    }
+    setSelectedIds(new Set(failed.map((f) => f.id)));
+    setAllMatching(false);
+
+    const names = Object.fromEntries(targets.map((b) => [b._id, b.name]));
+    const summary = await MySwal.fire({
+      icon: failed.length ? (succeeded.length ? "warning" : "error") : "success",
+      title: failed.length ? "Bulk action finished with errors" : "Bulk action complete",
+      html: (
+        <div className="text-left text-sm">
+          <p className="mb-2">
+            <span className="font-bold text-green-600">{succeeded.length}</span> succeeded,{" "}
+            <span className="font-bold text-red-600">{failed.length}</span> failed
+          </p>
+          {failed.length > 0 && (
+            <ul className="max-h-60 overflow-y-auto space-y-1 border-t border-gray-200 pt-2">
+              {failed.map((f) => (
+                <li key={f.id} className="flex justify-between gap-4">
+                  <span className="font-semibold truncate">{names[f.id] || f.id}</span>
+                  <span className="text-red-500 shrink-0">{f.reason}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {failed.length > 0 && <p className="mt-2 text-gray-500">Failed bills are still selected so you can retry.</p>}
+        </div>
+      ),
+      showDenyButton: Boolean(undo && succeeded.length),
+      denyButtonText: "Undo",
+      denyButtonColor: "#6b7280",
+    });
+    if (summary.isDenied) undo(succeeded);
+  };
+
+  const patchSucceeded = (changes) => (ok) =>
+    setBills((prev) => prev.map((b) => (ok.has(b._id) ? { ...b, ...changes(b) } : b)));
+
+  const handleBulkStatus = async () => {
+    const { value: status } = await MySwal.fire({
+      title: "Change Status",
+      input: "select",
+      inputOptions: { pending: "Pending", inprocess: "In Process", success: "Success", fail: "Fail" },
+      inputPlaceholder: "Select status",
+      showCancelButton: true,
+      confirmButtonColor: "#3b82f6",
+      cancelButtonColor: "#d33",
+    });
+    if (!status) return;
+    runBulk({ action: "update", changes: { status } }, patchSucceeded(() => ({ status })));
+  };
+
+  const handleBulkPriority = async () => {
+    const { value: priority } = await MySwal.fire({
+      title: "Assign Priority",
+      input: "select",
+      inputOptions: { p1: "🔥 P1", p2: "⚡ P2", p3: "🔹 P3", none: "None" },
+      inputPlaceholder: "Select priority",
+      showCancelButton: true,
+      confirmButtonColor: "#3b82f6",
+      cancelButtonColor: "#d33",
+    });
+    if (!priority) return;
+    runBulk({ action: "update", changes: { priority } }, patchSucceeded(() => ({ priority })));
+  };
+
+  const handleBulkNote = async () => {
+    const { value: note } = await MySwal.fire({
+      title: "Add Note",
+      input: "textarea",
+      inputPlaceholder: "Added as a new note on each selected bill...",
+      showCancelButton: true,
+      confirmButtonColor: "#3b82f6",
+      cancelButtonColor: "#d33",
+    });
+    if (!note?.trim()) return;
+    runBulk(
+      { action: "appendNote", note: note.trim() },
+      // Shown straight away; the server ids arrive with the next fetch, so these can't be edited until then
+      patchSucceeded((b) => ({
+        notes: [
+          { _id: `local-${b._id}-${Date.now()}`, text: note.trim(), by: getUserName(), at: new Date().toISOString(), local: true },
+          ...threadNotes(b),
+        ],
+      }))
+    );
+  };
+
+  const handleBulkDelete = async () => {
+    const count = allMatching ? total : selectedIds.size;
     const result = await MySwal.fire({
-      title: "Are you sure?",
-      text: "This bill will be permanently deleted!",
+      title: `Delete ${count} bills?`,
+      text: "They will be moved to the Trash, where they can be restored.",
       icon: "warning",
       showCancelButton: true,
       confirmButtonColor: "#d33",
       cancelButtonColor: "#3085d6",
-      confirmButtonText: "Yes, delete it",
+      confirmButtonText: "Move to Trash",
       cancelButtonText: "Cancel",
-      backdrop: true,
     });
+    if (!result.isConfirmed) return;
+    runBulk(
+      { action: "delete" },
+      (ok) => {
+        setBills((prev) => prev.filter((b) => !ok.has(b._id)));
+        setTotal((prev) => (prev == null ? prev : prev - ok.size));
+      },
+      // Restored bills may belong anywhere in the sorted list, so refetch rather than splice them back
+      async (ids) => {
+        const { failed } = await runBillBatch(ids, { action: "restore" });
+        reload();
+        if (failed.length) MySwal.fire("Error!", `${failed.length} bills could not be restored. They are still in the Trash.`, "error");
+      }
+    );
+  };
 
-    if (result.isConfirmed) {
+  // ✅ Reminder campaign for the selection (in selection mode) or every bill matching the filters
+  const openReminders = async () => {
+    setReminderBills(null);
+    setShowReminders(true);
+    let targets;
+    if (selectionMode) {
+      targets = await resolveSelection();
+    } else {
       try {
-        await axios.delete(`/api/bills/${id}`);
-        setBills((prev) => prev.filter((b) => b._id !== id));
-        MySwal.fire("Deleted!", "The bill has been deleted.", "success");
-      } catch {
-        MySwal.fire("Error!", "Something went wrong.", "error");
+        targets = hasMore ? await fetchAllBills(filters) : bills;
+      } catch (err) {
+        console.error("❌ Could not load bills for reminders:", err);
+        MySwal.fire("Error!", "Could not load the bills matching this filter.", "error");
       }
     }
+    if (targets) setReminderBills(targets);
+    else setShowReminders(false);
   };
 
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case "success": return <CheckCircle className="w-5 h-5" />;
-      case "pending": return <Clock className="w-5 h-5" />;
-      case "inprocess": return <AlertCircle className="w-5 h-5" />;
-      case "fail": return <XCircle className="w-5 h-5" />;
-      default: return <Clock className="w-5 h-5" />;
+  // ✅ Reminder slips for the selection (in selection mode) or every bill matching the filters
+  const handlePrint = async () => {
+    let targets;
+    if (selectionMode) {
+      targets = await resolveSelection();
+    } else {
+      try {
+        targets = hasMore ? await fetchAllBills(filters) : bills;
+      } catch (err) {
+        console.error("❌ Could not load bills for printing:", err);
+        MySwal.fire("Error!", "Could not load the bills matching this filter.", "error");
+      }
+    }
+    if (!targets?.length) return;
+    if (targets.length > PRINT_CONFIRM_OVER) {
+      const { isConfirmed } = await MySwal.fire({
+        title: `Print ${targets.length} slips?`,
+        text: "That's a lot of paper. Narrow the filter or select bills to print fewer.",
+        icon: "question",
+        showCancelButton: true,
+        confirmButtonText: "Print",
+      });
+      if (!isConfirmed) return;
     }
+    printBillSlips(targets);
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case "success": return "bg-green-500";
-      case "pending": return "bg-yellow-500";
-      case "inprocess": return "bg-blue-500";
-      case "fail": return "bg-red-500";
-      default: return "bg-gray-500";
-    }
+  const handleRemindersRecorded = (ids) => {
+    const at = new Date().toISOString();
+    const reminded = new Set(ids);
+    setBills((prev) => prev.map((b) => (reminded.has(b._id) ? { ...b, lastRemindedAt: at, lastRemindedBy: getUserName() } : b)));
   };
 
-  const getDaysUntilDue = (dueDate) => {
+  // ✅ Export every bill matching the current filters, in the current sort order
+  const handleExport = async (format, columns) => {
+    setExporting(true);
     try {
-      const parts = dueDate.split('-');
-      const due = new Date(`20${parts[2]}-${getMonthNumber(parts[1])}-${parts[0]}`);
-      const today = new Date();
-      const diffTime = due - today;
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-      return diffDays;
-    } catch {
-      return 0;
+      const rows = hasMore ? await fetchAllBills(filters) : bills;
+      if (format === "xlsx") await downloadBillsXlsx(rows, columns);
+      else downloadBillsCsv(rows, columns);
+      setShowExport(false);
+    } catch (err) {
+      console.error("❌ Export failed:", err);
+      MySwal.fire("Error!", "Could not export bills.", "error");
+    } finally {
+      setExporting(false);
     }
   };
 
-  const getMonthNumber = (month) => {
-    const months = {
-      'Jan': '01', 'Feb': '02', 'Mar': '03', 'Apr': '04', 'May': '05', 'Jun': '06',
-      'Jul': '07', 'Aug': '08', 'Sep': '09', 'Oct': '10', 'Nov': '11', 'Dec': '12'
-    };
-    return months[month] || '01';
+  const handleNotesChange = (id, patch) => {
+    setBills((prev) => prev.map((b) => (b._id === id ? { ...b, ...patch } : b)));
   };
 
-  const totalAmount = filteredBills.reduce((sum, bill) =>
-    sum + parseInt(bill.amountToPay?.replace(/[^\d]/g, "") || 0), 0
-  );
+  // Backend total covers every matching bill; the local sum only the pages loaded so far
+  const totalAmount = serverTotalAmount ?? sumAmounts(bills.map((b) => b.amountToPay));
+
+  // What the customers in the prompt-discount view stand to lose if nobody calls them in time
+  const promptSavingsAtStake = promptWithin
+    ? bills.reduce((sum, b) => {
+        const { state, savings } = getPromptStatus(b);
+        return state === "open" || state === "today" ? sum + savings : sum;
+      }, 0)
+    : 0;
+
+  const togglePromptFilter = () => {
+    if (promptWithin) return setPromptWithin("");
+    setPromptWithin(String(DEFAULT_PROMPT_WINDOW_DAYS));
+    // Windows closing soonest are the calls to make first
+    if (!sortBy.length) setSortBy(PROMPT_SORT);
+  };
 
-  const statusCount = {
+  // Prefer the backend's counts; the loaded pages are only a slice of the collection
+  const statusCount = serverStatusCount || {
     pending: bills.filter(b => b.status === "pending").length,
     success: bills.filter(b => b.status === "success").length,
     inprocess: bills.filter(b => b.status === "inprocess").length,
@@ -238,7 +472,7 @@ const BillPage = ({ theme }) => {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm text-gray-600 dark:text-gray-400">Total Bills</p>
-                <p className="text-3xl font-bold mt-1 text-gray-900 dark:text-white">{bills.length}</p>
+                <p className="text-3xl font-bold mt-1 text-gray-900 dark:text-white">{total}</p>
               </div>
               <div className="p-3 rounded-xl bg-gray-200 bg-opacity-10">
                 <Receipt className="w-8 h-8 text-blue-500" />
@@ -298,7 +532,7 @@ const BillPage = ({ theme }) => {
             <Search className="absolute left-4 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-500 dark:text-gray-400" />
             <input
               className="w-full pl-12 pr-4 py-4 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
-              placeholder="Search by customer name..."
+              placeholder="Search by name, consumer no., mobile or billing unit..."
               value={search}
               onChange={(e) => setSearch(e.target.value)}
             />
@@ -313,6 +547,40 @@ const BillPage = ({ theme }) => {
             <Filter className="w-5 h-5" />
             Filters
           </button>
+          <button
+            onClick={() => (selectionMode ? exitSelection() : setSelectionMode(true))}
+            className={`px-6 py-4 rounded-xl shadow-lg flex items-center gap-2 font-semibold transition-all ${selectionMode
+              ? "bg-gradient-to-r from-blue-600 to-purple-600 text-white"
+              : "bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200"
+              }`}
+          >
+            <CheckSquare className="w-5 h-5" />
+            Select
+          </button>
+          <button
+            onClick={() => setShowExport(true)}
+            disabled={!bills.length}
+            className="px-6 py-4 rounded-xl shadow-lg flex items-center gap-2 font-semibold transition-all bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 disabled:opacity-50"
+          >
+            <Download className="w-5 h-5" />
+            Export
+          </button>
+          <button
+            onClick={openReminders}
+            disabled={!bills.length}
+            className="px-6 py-4 rounded-xl shadow-lg flex items-center gap-2 font-semibold transition-all bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 disabled:opacity-50"
+          >
+            <Send className="w-5 h-5" />
+            Remind
+          </button>
+          <button
+            onClick={handlePrint}
+            disabled={!bills.length}
+            className="px-6 py-4 rounded-xl shadow-lg flex items-center gap-2 font-semibold transition-all bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 disabled:opacity-50"
+          >
+            <Printer className="w-5 h-5" />
+            Print
+          </button>
         </div>
 
         {/* Filters Panel */}
@@ -324,7 +592,9 @@ const BillPage = ({ theme }) => {
               exit={{ opacity: 0, height: 0 }}
               className="mb-6 p-6 rounded-2xl shadow-lg bg-white dark:bg-gray-800 dark:border dark:border-gray-700"
             >
-              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+              <FilterPresets currentQuery={filterQuery} onApply={applyFilterQuery} />
+
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-4">
                 <select
                   className="p-3 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white"
                   value={statusFilter}
@@ -352,16 +622,6 @@ const BillPage = ({ theme }) => {
                   />
                 </div>
 
-                <select
-                  className="p-3 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white"
-                  value={sortOrder}
-                  onChange={(e) => setSortOrder(e.target.value)}
-                >
-                  <option value="">Sort By Amount</option>
-                  <option value="asc">Low to High</option>
-                  <option value="desc">High to Low</option>
-                </select>
-
                 <div className="flex gap-2">
                   <button
                     onClick={() => setShowWithMobile(!showWithMobile)}
@@ -381,235 +641,132 @@ const BillPage = ({ theme }) => {
                   >
                     <Receipt className="w-4 h-4 inline mr-1" /> Bill
                   </button>
+                  <button
+                    onClick={() => setOverdueOnly(!overdueOnly)}
+                    className={`flex-1 px-4 py-3 rounded-xl transition-all font-medium ${overdueOnly
+                      ? "bg-red-500 text-white shadow-lg"
+                      : "bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                      }`}
+                  >
+                    <AlarmClock className="w-4 h-4 inline mr-1" /> Overdue
+                  </button>
+                </div>
+
+                <div className="flex gap-2 items-center">
+                  <button
+                    onClick={togglePromptFilter}
+                    className={`flex-1 px-4 py-3 rounded-xl transition-all font-medium ${promptWithin
+                      ? "bg-green-500 text-white shadow-lg"
+                      : "bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                      }`}
+                  >
+                    <BadgePercent className="w-4 h-4 inline mr-1" /> Prompt discount closing
+                  </button>
+                  {promptWithin && (
+                    <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                      within
+                      <select
+                        className="p-3 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white"
+                        value={promptWithin}
+                        onChange={(e) => setPromptWithin(e.target.value)}
+                      >
+                        {/* A shared link may carry any number of days */}
+                        {[...new Set([...PROMPT_WINDOW_OPTIONS, Number(promptWithin)])].sort((x, y) => x - y).map((days) => (
+                          <option key={days} value={String(days)}>{days}</option>
+                        ))}
+                      </select>
+                      days
+                    </label>
+                  )}
                 </div>
               </div>
+
+              <SortControls sortBy={sortBy} onChange={setSortBy} />
             </motion.div>
           )}
         </AnimatePresence>
 
         {/* Results Counter */}
-        <motion.p
-          initial={{ opacity: 0 }}
-          animate={{ opacity: 1 }}
-          className="mb-6 text-lg text-gray-700 dark:text-gray-300"
-        >
-          Showing <span className="font-bold text-blue-600">{filteredBills.length}</span> of{" "}
-          <span className="font-bold text-purple-600">{bills.length}</span> bills
-        </motion.p>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <motion.p
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className="text-lg text-gray-700 dark:text-gray-300"
+          >
+            Showing <span className="font-bold text-blue-600">{bills.length}</span> of{" "}
+            <span className="font-bold text-purple-600">{total}</span> bills
+            {" · "}
+            <span className="font-bold text-green-600">{formatAmount(totalAmount)}</span> to collect
+            {promptWithin && (
+              <>
+                {" · "}
+                <span className="font-bold text-orange-500">{formatAmount(promptSavingsAtStake)}</span> in prompt discounts at stake
+                {hasMore && " (loaded so far)"}
+              </>
+            )}
+          </motion.p>
+
+          {/* View Toggle */}
+          <div className="flex rounded-xl overflow-hidden shadow bg-gray-100 dark:bg-gray-800">
+            {[
+              { id: "cards", label: "Cards", icon: <LayoutGrid className="w-4 h-4" /> },
+              { id: "table", label: "Table", icon: <Table className="w-4 h-4" /> },
+            ].map((option) => (
+              <button
+                key={option.id}
+                onClick={() => {
+                  setViewMode(option.id);
+                  localStorage.setItem("billView", option.id);
+                }}
+                className={`px-4 py-2 flex items-center gap-2 text-sm font-semibold transition-all ${viewMode === option.id
+                  ? "bg-gradient-to-r from-blue-600 to-purple-600 text-white"
+                  : "text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-700"
+                  }`}
+              >
+                {option.icon} {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
 
         {/* Bill Cards */}
         <AnimatePresence>
-          {filteredBills.length ? (
-            <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
-              {filteredBills.map((bill, index) => {
-                const daysUntilDue = getDaysUntilDue(bill.billDueDate);
-                const isExpanded = expandedCard === bill._id;
-
-                return (
-                  <motion.div
-                    key={bill._id}
-                    initial={{ opacity: 0, y: 20 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    exit={{ opacity: 0, scale: 0.9 }}
-                    transition={{ delay: index * 0.05 }}
-                    whileHover={{ y: -8 }}
-                    className="relative rounded-2xl shadow-xl overflow-hidden transition-all duration-300 bg-white dark:bg-gray-800 dark:border dark:border-gray-700 hover:shadow-2xl"
-                  >
-                    {/* Status Badge */}
-                    <div className={`absolute top-0 right-0 px-4 py-2 rounded-bl-2xl ${getStatusColor(bill.status)} flex items-center gap-2 text-white`}>
-                      {getStatusIcon(bill.status)}
-                      <span className="font-semibold capitalize text-sm">{bill.status}</span>
-                    </div>
-
-                    <div className="p-6">
-                      {/* Customer Name */}
-                      <h2 className="text-xl font-bold mb-4 mt-8 pr-20 text-gray-900 dark:text-white">
-                        {bill.name}
-                      </h2>
-
-                      {/* Key Info Grid */}
-                      <div className="space-y-3 mb-4">
-                        <div className="flex items-center gap-3 p-3 rounded-xl bg-blue-50 dark:bg-gray-700 dark:bg-opacity-50">
-                          <Receipt className="w-5 h-5 text-blue-500" />
-                          <div className="flex-1">
-                            <p className="text-xs text-gray-600 dark:text-gray-400">Consumer No.</p>
-                            <p className="font-semibold text-gray-900 dark:text-white">{bill.consumerNumber}</p>
-                          </div>
-                        </div>
-
-                        <div className="flex items-center gap-3 p-3 rounded-xl bg-purple-50 dark:bg-gray-700 dark:bg-opacity-50">
-                          <Calendar className="w-5 h-5 text-purple-500" />
-                          <div className="flex-1">
-                            <p className="text-xs text-gray-600 dark:text-gray-400">Bill Month</p>
-                            <p className="font-semibold text-gray-900 dark:text-white">{bill.billMonth}</p>
-                          </div>
-                        </div>
-
-                        {bill.mobileNo && (
-                          <div className="flex items-center gap-3 p-3 rounded-xl bg-green-50 dark:bg-gray-700 dark:bg-opacity-50">
-                            <Phone className="w-5 h-5 text-green-500" />
-                            <div className="flex-1">
-                              <p className="text-xs text-gray-600 dark:text-gray-400">Mobile</p>
-                              <p className="font-semibold text-gray-900 dark:text-white">{bill.mobileNo}</p>
-                            </div>
-                          </div>
-                        )}
-                      </div>
-
-                      {/* Amount Highlight */}
-                      <div className={`p-5 rounded-xl mb-4 bg-gradient-to-r from-blue-600 to-purple-600 text-white`}>
-                        <p className="text-sm opacity-90">Bill Amount</p>
-                        <p className="text-4xl font-bold mt-1">{bill.billAmount}</p>
-                        <div className="flex items-center gap-2 mt-2 text-sm">
-                          <Calendar className="w-4 h-4" />
-                          <span>Due: {bill.billDueDate}</span>
-                          {daysUntilDue > 0 && (
-                            <span className="ml-auto bg-white bg-opacity-20 px-2 py-1 rounded-full text-xs">
-                              {daysUntilDue} days left
-                            </span>
-                          )}
-                        </div>
-                      </div>
-
-                      {/* Expandable Details */}
-                      <button
-                        onClick={() => setExpandedCard(isExpanded ? null : bill._id)}
-                        className="w-full py-2 rounded-xl mb-4 font-semibold transition-all bg-gray-100 hover:bg-gray-200 text-gray-800 dark:bg-gray-700 dark:hover:bg-gray-600 dark:text-white"
-                      >
-                        {isExpanded ? "Show Less ▲" : "Show More Details ▼"}
-                      </button>
-
-                      <AnimatePresence>
-                        {isExpanded && (
-                          <motion.div
-                            initial={{ opacity: 0, height: 0 }}
-                            animate={{ opacity: 1, height: "auto" }}
-                            exit={{ opacity: 0, height: 0 }}
-                            className="space-y-2 mb-4 text-sm"
-                          >
-                            <div className="flex justify-between py-2 border-b border-gray-200 dark:border-gray-700">
-                              <span className="text-gray-600 dark:text-gray-400">Billing Unit</span>
-                              <span className="font-semibold text-right text-gray-900 dark:text-white">{bill.billingUnit}</span>
-                            </div>
-                            <div className="flex justify-between py-2 border-b border-gray-200 dark:border-gray-700">
-                              <span className="text-gray-600 dark:text-gray-400">Consumption</span>
-                              <span className="font-semibold text-gray-900 dark:text-white">{bill.consumption}</span>
-                            </div>
-                            <div className="flex justify-between py-2 border-b border-gray-200 dark:border-gray-700">
-                              <span className="text-gray-600 dark:text-gray-400">Meter Status</span>
-                              <span className="font-semibold text-gray-900 dark:text-white">{bill.meterStatus}</span>
-                            </div>
-                            <div className="flex justify-between py-2 border-b border-gray-200 dark:border-gray-700">
-                              <span className="text-gray-600 dark:text-gray-400">Bill Period</span>
-                              <span className="font-semibold text-gray-900 dark:text-white">{bill.billPeriod}</span>
-                            </div>
-                            <div className="flex justify-between py-2 border-b border-gray-200 dark:border-gray-700">
-                              <span className="text-gray-600 dark:text-gray-400">Bill Amount</span>
-                              <span className="font-semibold text-gray-900 dark:text-white">{bill.billAmount}</span>
-                            </div>
-                            <div className="flex justify-between py-2 border-b border-gray-200 dark:border-gray-700">
-                              <span className="text-gray-600 dark:text-gray-400">After Due Date</span>
-                              <span className="font-semibold text-red-500">{bill.billAmountAfterDueDate}</span>
-                            </div>
-                            <div className="flex justify-between py-2 border-b border-gray-200 dark:border-gray-700">
-                              <span className="text-gray-600 dark:text-gray-400">Prompt Payment Date</span>
-                              <span className="font-semibold text-green-500">{bill.promptPaymentDate}</span>
-                            </div>
-                            <div className="flex justify-between py-2 border-b border-gray-200 dark:border-gray-700">
-                              <span className="text-gray-600 dark:text-gray-400">With Prompt Discount</span>
-                              <span className="font-semibold text-green-500">{bill.billAmountWithPromptDiscount}</span>
-                            </div>
-                            <div className="flex justify-between py-2">
-                              <span className="text-gray-600 dark:text-gray-400">Bill Date</span>
-                              <span className="font-semibold text-gray-900 dark:text-white">{bill.billDate}</span>
-                            </div>
-                          </motion.div>
-                        )}
-                      </AnimatePresence>
-
-                      {/* Status Update */}
-                      <div className="mb-4">
-                        <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
-                          Update Status
-                        </label>
-                        <select
-                          value={bill.status}
-                          onChange={(e) => handleUpdate(bill._id, "status", e.target.value)}
-                          className="w-full p-3 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white"
-                        >
-                          <option value="pending">Pending</option>
-                          <option value="inprocess">In Process</option>
-                          <option value="success">Success</option>
-                          <option value="fail">Fail</option>
-                        </select>
-                        {/* ✅ Priority Selector - Only for In Process */}
-                        <AnimatePresence>
-                          {bill.status === "inprocess" && (
-                            <motion.div
-                              initial={{ opacity: 0, height: 0 }}
-                              animate={{ opacity: 1, height: "auto" }}
-                              exit={{ opacity: 0, height: 0 }}
-                              className="overflow-hidden mt-3"
-                            >
-                              <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
-                                Priority Level
-                              </label>
-                              <div className="flex gap-2">
-                                {[
-                                  { value: "p1", label: "🔥 P1", color: "bg-red-500 text-white" },
-                                  { value: "p2", label: "⚡ P2", color: "bg-orange-500 text-white" },
-                                  { value: "p3", label: "🔹 P3", color: "bg-blue-500 text-white" },
-                                  { value: "none", label: "None", color: "bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300" }
-                                ].map((option) => (
-                                  <button
-                                    key={option.value}
-                                    onClick={() => handleUpdate(bill._id, "priority", option.value)}
-                                    className={`flex-1 py-2 rounded-lg text-sm font-semibold transition-all ${bill.priority === option.value
-                                      ? `${option.color} ring-2 ring-offset-2 ring-blue-400`
-                                      : "bg-gray-100 dark:bg-gray-800 text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700"
-                                      }`}
-                                  >
-                                    {option.label}
-                                  </button>
-                                ))}
-                              </div>
-                            </motion.div>
-                          )}
-                        </AnimatePresence>
-                      </div>
-
-                      {/* Notes */}
-                      <div className="relative mb-4">
-                        <textarea
-                          value={bill.note || ""}
-                          onChange={(e) => {
-                            setBills((prev) => prev.map((b) => (b._id === bill._id ? { ...b, note: e.target.value } : b)));
-                          }}
-                          placeholder="Add notes or remarks..."
-                          rows="3"
-                          className="w-full p-3 pb-10 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none bg-gray-50 border-gray-300 text-gray-900 dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400"
-                        />
-                        <button
-                          onClick={() => handleUpdate(bill._id, "note", bill.note)}
-                          className="absolute bottom-2 right-2 px-3 py-1 bg-blue-500 text-white text-sm rounded-lg hover:bg-blue-600 transition-all"
-                        >
-                          Update
-                        </button>
-                      </div>
-
-                      {/* Delete Button */}
-                      <button
-                        onClick={() => handleDelete(bill._id)}
-                        className="w-full px-4 py-3 bg-red-500 text-white rounded-xl hover:bg-red-600 transition-all flex items-center justify-center gap-2 font-semibold shadow-lg hover:shadow-xl"
-                      >
-                        <Trash2 className="w-5 h-5" />
-                        Delete Bill
-                      </button>
-                    </div>
-                  </motion.div>
-                );
-              })}
-            </div>
+          {bills.length && viewMode === "table" ? (
+            <BillTable
+              bills={bills}
+              search={debouncedSearch}
+              hasMore={hasMore}
+              loading={loading}
+              onLoadMore={loadMore}
+              sortBy={sortBy}
+              onSortChange={setSortBy}
+              onUpdate={handleUpdate}
+              selectable={selectionMode}
+              isSelected={(id) => allMatching || selectedIds.has(id)}
+              onToggleSelect={toggleSelect}
+            />
+          ) : bills.length ? (
+            <VirtualBillGrid
+              bills={bills}
+              hasMore={hasMore}
+              loading={loading}
+              onLoadMore={loadMore}
+              renderCard={(bill) => (
+                <BillCard
+                  bill={bill}
+                  search={debouncedSearch}
+                  isExpanded={expandedCard === bill._id}
+                  onToggleExpand={(id) => setExpandedCard(expandedCard === id ? null : id)}
+                  onUpdate={handleUpdate}
+                  onCorrect={handleCorrect}
+                  onDelete={handleDelete}
+                  onNotesChange={handleNotesChange}
+                  selectable={selectionMode}
+                  selected={allMatching || selectedIds.has(bill._id)}
+                  onToggleSelect={toggleSelect}
+                />
+              )}
+            />
           ) : (
             <motion.div
               initial={{ opacity: 0 }}
@@ -620,11 +777,48 @@ const BillPage = ({ theme }) => {
               <AlertCircle className={`w-16 h-16 mx-auto mb-4 ${theme === "dark" ? "text-gray-600" : "text-gray-400"
                 }`} />
               <p className={`text-xl ${theme === "dark" ? "text-gray-400" : "text-gray-600"}`}>
-                No bills found matching your filters
+                {loading ? "Loading bills..." : "No bills found matching your filters"}
               </p>
             </motion.div>
           )}
         </AnimatePresence>
+
+        <ExportDialog
+          open={showExport}
+          count={total}
+          exporting={exporting}
+          onClose={() => setShowExport(false)}
+          onExport={handleExport}
+        />
+
+        <ReminderComposer
+          open={showReminders}
+          bills={reminderBills}
+          onClose={() => setShowReminders(false)}
+          onRecorded={handleRemindersRecorded}
+        />
+
+        {/* Bulk Actions */}
+        <AnimatePresence>
+          {selectionMode && (
+            <BulkActionBar
+              selectedCount={selectedIds.size}
+              loadedCount={bills.length}
+              total={total}
+              allMatching={allMatching}
+              progress={bulkProgress}
+              onSelectLoaded={() => setSelectedIds(new Set(bills.map((b) => b._id)))}
+              onSelectAllMatching={() => setAllMatching(true)}
+              onClear={exitSelection}
+              onStatus={handleBulkStatus}
+              onPriority={handleBulkPriority}
+              onAppendNote={handleBulkNote}
+              onDelete={handleBulkDelete}
+              onRemind={openReminders}
+              onPrint={handlePrint}
+            />
+          )}
+        </AnimatePresence>
       </div>
     </div>
   );
@@ -0,0 +1,263 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { Users, Loader, Search, ChevronDown, ChevronUp, ExternalLink } from "lucide-react";
+import Swal from "sweetalert2";
+import withReactContent from "sweetalert2-react-content";
+import { fetchAllBills } from "../Hooks/useInfiniteBills.js";
+import { CONSUMER_SORTS, consumerOutstanding, fetchConsumers, parseUnits, sortConsumerBills } from "../Utils/consumers.js";
+import { formatMonthKey } from "../Utils/dates.js";
+import { displayAmount, formatAmount, parseAmount } from "../Utils/money.js";
+import { matchBill } from "../Utils/searchBills.js";
+import { billPath } from "../Utils/billLinks.js";
+import Highlight from "../Components/Highlight.jsx";
+
+const MySwal = withReactContent(Swal);
+const SEARCH_DEBOUNCE_MS = 400;
+
+const STATUS_COLORS = {
+  success: "bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400",
+  pending: "bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-400",
+  inprocess: "bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400",
+  fail: "bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400",
+};
+
+// ✅ Month-by-month history for one consumer, with bars so trends stand out. Loaded when the row opens.
+const ConsumerHistory = ({ consumerNumber }) => {
+  const [bills, setBills] = useState(null);
+
+  useEffect(() => {
+    fetchAllBills({ consumerNumber })
+      .then((data) => setBills(sortConsumerBills(data)))
+      .catch((err) => {
+        console.error("❌ Error fetching consumer bills:", err);
+        MySwal.fire("Error!", "Could not load this consumer's bills.", "error");
+        setBills([]);
+      });
+  }, [consumerNumber]);
+
+  if (!bills) {
+    return (
+      <div className="flex items-center justify-center gap-2 py-6 text-sm text-gray-500 dark:text-gray-400">
+        <Loader className="w-4 h-4 animate-spin" /> Loading bills...
+      </div>
+    );
+  }
+
+  const maxAmount = Math.max(1, ...bills.map((b) => parseAmount(b.billAmount) || 0));
+  const maxUnits = Math.max(1, ...bills.map((b) => parseUnits(b.consumption) || 0));
+
+  return (
+    <div className="overflow-x-auto mt-4">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+            <th className="py-2 pr-4">Month</th>
+            <th className="py-2 pr-4">Bill Amount</th>
+            <th className="py-2 pr-4">Consumption</th>
+            <th className="py-2 pr-4">Status</th>
+            <th className="py-2" />
+          </tr>
+        </thead>
+        <tbody>
+          {bills.map((bill) => {
+            const amount = parseAmount(bill.billAmount);
+            const units = parseUnits(bill.consumption);
+            return (
+              <tr key={bill._id} className="border-b border-gray-100 dark:border-gray-700/50 text-gray-800 dark:text-gray-200">
+                <td className="py-2 pr-4 whitespace-nowrap">{bill.monthKey ? formatMonthKey(bill.monthKey) : bill.billMonth || "—"}</td>
+                <td className="py-2 pr-4 min-w-[10rem]">
+                  <div className="flex items-center gap-2">
+                    <div className="h-2 rounded bg-blue-500" style={{ width: `${((amount || 0) / maxAmount) * 80}px` }} />
+                    <span>{displayAmount(bill.billAmount)}</span>
+                  </div>
+                </td>
+                <td className="py-2 pr-4 min-w-[10rem]">
+                  <div className="flex items-center gap-2">
+                    <div className="h-2 rounded bg-purple-500" style={{ width: `${((units || 0) / maxUnits) * 80}px` }} />
+                    <span>{bill.consumption || "—"}</span>
+                  </div>
+                </td>
+                <td className="py-2 pr-4">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${STATUS_COLORS[bill.status] || "bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300"}`}>
+                    {bill.status || "—"}
+                  </span>
+                </td>
+                <td className="py-2 text-right">
+                  <Link to={billPath(bill._id)} className="inline-flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:underline">
+                    Open <ExternalLink className="w-3 h-3" />
+                  </Link>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        Outstanding {formatAmount(consumerOutstanding(bills))}: the latest unpaid bill&apos;s amount to pay, which includes earlier arrears
+      </p>
+    </div>
+  );
+};
+
+// ✅ One card per consumer, aggregating their bills across months. Grouping, search and sorting
+// happen on the server; the list is paged like the bill grid.
+const ConsumersPage = () => {
+  const [consumers, setConsumers] = useState([]);
+  const [summary, setSummary] = useState({ total: null, totalOutstanding: null });
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [sortKey, setSortKey] = useState("outstanding");
+  const [expanded, setExpanded] = useState(null);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const loadPage = useCallback(
+    async (from) => {
+      setLoading(true);
+      try {
+        const page = await fetchConsumers({ search: debouncedSearch, sort: sortKey, cursor: from });
+        setConsumers((prev) => (from ? [...prev, ...page.items] : page.items));
+        setCursor(page.nextCursor);
+        setHasMore(page.hasMore);
+        if (!from) setSummary({ total: page.total, totalOutstanding: page.totalOutstanding });
+      } catch (err) {
+        console.error("❌ Error fetching consumers:", err);
+        MySwal.fire("Error!", "Could not load consumers.", "error");
+        setHasMore(false);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [debouncedSearch, sortKey]
+  );
+
+  useEffect(() => {
+    setExpanded(null);
+    loadPage(null);
+  }, [loadPage]);
+
+  const groupKey = (consumer) => consumer.consumerNumber || consumer.billId;
+
+  return (
+    <div className="max-w-5xl mx-auto p-4 md:p-6 lg:p-8">
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-3 rounded-xl bg-indigo-500">
+            <Users className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Consumers</h1>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {summary.total ?? consumers.length} consumers · {formatAmount(summary.totalOutstanding ?? 0)} outstanding
+            </p>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <div className="relative">
+            <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by name, consumer no., mobile or billing unit..."
+              className="pl-9 pr-3 py-2 w-72 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+            />
+          </div>
+          <select
+            value={sortKey}
+            onChange={(e) => setSortKey(e.target.value)}
+            className="px-3 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+          >
+            {Object.entries(CONSUMER_SORTS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading && !consumers.length ? (
+        <div className="flex items-center justify-center gap-2 py-20 text-gray-500 dark:text-gray-400">
+          <Loader className="w-6 h-6 animate-spin" /> Loading...
+        </div>
+      ) : !consumers.length ? (
+        <div className="text-center py-20 text-gray-500 dark:text-gray-400">
+          <Users className="w-12 h-12 mx-auto mb-3 opacity-50" />
+          {search ? "No consumers match your search." : "No bills yet."}
+        </div>
+      ) : (
+        <>
+          <ul className="space-y-3">
+            {consumers.map((consumer) => {
+              const key = groupKey(consumer);
+              const isOpen = expanded === key;
+              const outstanding = parseAmount(consumer.outstanding) ?? 0;
+              // The server picked these; matchBill only works out what to highlight
+              const matches = matchBill(consumer, debouncedSearch) || {};
+              return (
+                <li key={key} className="p-4 rounded-2xl shadow bg-white dark:bg-gray-800 dark:border dark:border-gray-700">
+                  <button
+                    onClick={() => (consumer.consumerNumber ? setExpanded(isOpen ? null : key) : navigate(billPath(consumer.billId)))}
+                    className="w-full flex flex-wrap items-center gap-4 text-left"
+                  >
+                    <div className="flex-1 min-w-[12rem]">
+                      <p className="font-bold text-gray-900 dark:text-white">
+                        <Highlight text={consumer.name} ranges={matches.name} />
+                      </p>
+                      <p className="text-sm text-gray-600 dark:text-gray-400">
+                        🆔 <Highlight text={consumer.consumerNumber || "—"} ranges={matches.consumerNumber} />
+                        {" · "}📱 <Highlight text={consumer.mobileNo || "—"} ranges={matches.mobileNo} />
+                        {consumer.billingUnit && (
+                          <>
+                            {" · "}🏢 <Highlight text={consumer.billingUnit} ranges={matches.billingUnit} />
+                          </>
+                        )}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className={`font-bold ${outstanding > 0 ? "text-red-600 dark:text-red-400" : "text-green-600 dark:text-green-400"}`}>
+                        {formatAmount(outstanding)}
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        outstanding · {consumer.billCount} bill{consumer.billCount === 1 ? "" : "s"}
+                      </p>
+                    </div>
+                    {!consumer.consumerNumber ? (
+                      <ExternalLink className="w-5 h-5 text-gray-400" />
+                    ) : isOpen ? (
+                      <ChevronUp className="w-5 h-5 text-gray-400" />
+                    ) : (
+                      <ChevronDown className="w-5 h-5 text-gray-400" />
+                    )}
+                  </button>
+                  {isOpen && <ConsumerHistory consumerNumber={consumer.consumerNumber} />}
+                </li>
+              );
+            })}
+          </ul>
+          {hasMore && (
+            <div className="text-center mt-6">
+              <button
+                onClick={() => loadPage(cursor)}
+                disabled={loading}
+                className="px-4 py-2 rounded-xl font-semibold inline-flex items-center gap-2 bg-blue-100 text-blue-700 hover:bg-blue-200 dark:bg-blue-900/30 dark:text-blue-400 disabled:opacity-50"
+              >
+                {loading && <Loader className="w-4 h-4 animate-spin" />}
+                Show more{summary.total != null && ` (${summary.total - consumers.length} left)`}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ConsumersPage;
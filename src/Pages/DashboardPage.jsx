@@ -0,0 +1,164 @@
+import React, { useEffect, useMemo, useState } from "react";
+import axios from "axios";
+import { BarChart3, Loader } from "lucide-react";
+import Swal from "sweetalert2";
+import withReactContent from "sweetalert2-react-content";
+import { fetchAllBills } from "../Hooks/useInfiniteBills.js";
+import { computeDashboard, recentMonths } from "../Utils/analytics.js";
+import { formatMonthKey } from "../Utils/dates.js";
+import { formatAmount } from "../Utils/money.js";
+import { BarList, ChartCard, StackedColumns } from "../Components/Charts.jsx";
+
+const MySwal = withReactContent(Swal);
+
+const STATUS_BAR_COLORS = {
+  pending: "bg-yellow-500",
+  inprocess: "bg-blue-500",
+  success: "bg-green-500",
+  fail: "bg-red-500",
+};
+
+const COLLECTION_SERIES = [
+  { key: "collected", label: "Collected", color: "bg-green-500" },
+  { key: "outstanding", label: "Outstanding", color: "bg-red-400" },
+];
+
+const count = (n) => n.toLocaleString("en-IN");
+
+// Months offered in the pickers, and how many the dashboard opens on
+const MONTH_CHOICES = 36;
+const DEFAULT_RANGE = 3;
+
+// ✅ Charts over a bill-month range. Only that range is fetched, so keep it as narrow as the question needs.
+const DashboardPage = () => {
+  const [bills, setBills] = useState([]);
+  const [stages, setStages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const months = useMemo(() => recentMonths(MONTH_CHOICES), []);
+  const [fromMonth, setFromMonth] = useState(months[months.length - DEFAULT_RANGE]);
+  const [toMonth, setToMonth] = useState("");
+
+  useEffect(() => {
+    axios
+      .get("/api/stages")
+      .then((res) => setStages(res.data?.data || []))
+      .catch((err) => console.error("❌ Error fetching stages:", err));
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchAllBills({ fromMonth, toMonth })
+      .then((data) => !cancelled && setBills(data))
+      .catch((err) => {
+        console.error("❌ Error fetching dashboard data:", err);
+        MySwal.fire("Error!", "Could not load the dashboard.", "error");
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [fromMonth, toMonth]);
+
+  const stats = useMemo(() => computeDashboard(bills, stages), [bills, stages]);
+
+  const overdue = stats.ageing.reduce((sum, b) => sum + b.count, 0);
+
+  const monthSelect = (value, onChange, placeholder) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-3 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+    >
+      {placeholder && <option value="">{placeholder}</option>}
+      {months.map((m) => (
+        <option key={m} value={m}>{formatMonthKey(m)}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="max-w-7xl mx-auto p-4 md:p-6 lg:p-8">
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-3 rounded-xl bg-purple-500">
+            <BarChart3 className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Dashboard</h1>
+            <p className="text-sm text-gray-600 dark:text-gray-400">{count(stats.total)} bills in range</p>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+          Bill month
+          {monthSelect(fromMonth, setFromMonth)}
+          –
+          {monthSelect(toMonth, setToMonth, "To: latest")}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center gap-2 py-20 text-gray-500 dark:text-gray-400">
+          <Loader className="w-6 h-6 animate-spin" /> Loading...
+        </div>
+      ) : (
+        <>
+          {/* Headline numbers */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {[
+              { label: "Bills", value: count(stats.total) },
+              { label: "Collected", value: formatAmount(stats.collected) },
+              { label: "Outstanding", value: formatAmount(stats.outstanding) },
+              { label: "Overdue bills", value: count(overdue) },
+            ].map((card) => (
+              <div key={card.label} className="p-4 rounded-2xl shadow bg-white dark:bg-gray-800 dark:border dark:border-gray-700">
+                <p className="text-xs text-gray-500 dark:text-gray-400">{card.label}</p>
+                <p className="text-xl font-bold text-gray-900 dark:text-white">{card.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ChartCard title="Amount by status">
+              <BarList
+                data={stats.byStatus.map((s) => ({ label: s.status, value: s.amount, color: STATUS_BAR_COLORS[s.status], hint: `(${count(s.count)})` }))}
+                format={formatAmount}
+              />
+            </ChartCard>
+
+            <ChartCard title="Collected vs outstanding" subtitle="By bill month">
+              <StackedColumns
+                data={stats.overTime.map((m) => ({ label: formatMonthKey(m.month), values: m }))}
+                series={COLLECTION_SERIES}
+                format={formatAmount}
+              />
+            </ChartCard>
+
+            <ChartCard title="Bills per billing unit">
+              <BarList data={stats.byUnit.map((u) => ({ label: u.label, value: u.count }))} format={count} color="bg-indigo-500" />
+            </ChartCard>
+
+            <ChartCard title="Consumption distribution" subtitle="Bills by units consumed">
+              <BarList data={stats.consumption.map((b) => ({ label: b.label, value: b.count }))} format={count} color="bg-purple-500" />
+            </ChartCard>
+
+            <ChartCard title="Overdue ageing" subtitle={`Unpaid bills by days past due · ${count(stats.notDue)} not overdue or without a due date`}>
+              <BarList
+                data={stats.ageing.map((b) => ({ label: b.label, value: b.count, hint: `(${formatAmount(b.amount)})` }))}
+                format={count}
+                color="bg-red-500"
+              />
+            </ChartCard>
+
+            <ChartCard title="Pipeline stages" subtitle="In-process bills per stage">
+              <BarList data={stats.byStage.map((s) => ({ label: s.label, value: s.count }))} format={count} color="bg-blue-500" />
+            </ChartCard>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DashboardPage;
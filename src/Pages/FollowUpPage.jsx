@@ -1,11 +1,25 @@
 import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
 import axios from "axios";
 import { DragDropContext, Droppable, Draggable } from "@hello-pangea/dnd";
-import { Plus, GripVertical, Trash2, Edit2, CheckCircle, Filter, X, Phone, Calendar, Receipt, AlertCircle, Clock, XCircle, Zap } from "lucide-react";
+import { Plus, GripVertical, Trash2, Edit2, CheckCircle, Filter, X, Phone, Calendar, Receipt, AlertCircle, Clock, XCircle, Zap, ExternalLink } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 
 import Swal from "sweetalert2";
 import withReactContent from "sweetalert2-react-content";
+import { displayAmount } from "../Utils/money.js";
+import { compareBillDates, getDueStatus } from "../Utils/dates.js";
+import { billPath, billUrl } from "../Utils/billLinks.js";
+import DueDateBadge from "../Components/DueDateBadge.jsx";
+import CopyLinkButton from "../Components/CopyLinkButton.jsx";
+import ActivityTimeline from "../Components/ActivityTimeline.jsx";
+import NoteThread from "../Components/NoteThread.jsx";
+import ContactActions from "../Components/ContactActions.jsx";
+import FollowUpPicker, { FollowUpChip } from "../Components/FollowUpPicker.jsx";
+import { latestNote } from "../Utils/notes.js";
+import { patchInList, removeFromList, runMutation } from "../Utils/mutations.js";
+import useSyncStatus from "../Hooks/useSyncStatus.js";
+import { fetchAllBills } from "../Hooks/useInfiniteBills.js";
 
 const MySwal = withReactContent(Swal);
 
@@ -16,18 +30,24 @@ const FollowUpPage = () => {
     const [globalFilter, setGlobalFilter] = useState("all"); // all, p1, p2, p3
     const [selectedBill, setSelectedBill] = useState(null);
     const [expandedDetailCard, setExpandedDetailCard] = useState(null);
+    // Bumped once a change reaches the server, so the open modal's activity log refetches after the write
+    const [activityVersion, setActivityVersion] = useState(0);
+    const bumpActivity = () => setActivityVersion(v => v + 1);
 
-    // ✅ Fetch Stages & Bills
+    // ✅ Fetch Stages & Bills (again after an offline sync discarded or overrode local changes)
+    const { dataVersion } = useSyncStatus();
     useEffect(() => {
         fetchData();
-    }, []);
+    }, [dataVersion]);
 
     const fetchData = async () => {
         try {
-            const stageRes = await axios.get("/api/stages");
-            const billRes = await axios.get("/api/bills");
+            const [stageRes, inProcess] = await Promise.all([
+                axios.get("/api/stages"),
+                fetchAllBills({ statusFilter: "inprocess" }),
+            ]);
             setStages(stageRes.data.data);
-            setBills(billRes.data.data.filter((b) => b.status === "inprocess"));
+            setBills(inProcess);
             setLoading(false);
         } catch (error) {
             console.error("Error fetching data:", error);
@@ -49,13 +69,15 @@ const FollowUpPage = () => {
 
         if (!name) return;
 
-        try {
-            const res = await axios.post("/api/stages", { name });
-            setStages([...stages, res.data.data]);
-            MySwal.fire("Created!", "New stage has been added.", "success");
-        } catch (error) {
-            MySwal.fire("Error!", "Failed to create stage.", "error");
-        }
+        // Not optimistic: the new column needs the id the server assigns
+        runMutation({
+            label: "Create stage",
+            request: () => axios.post("/api/stages", { name }),
+            onSuccess: (res) => {
+                setStages(prev => [...prev, res.data.data]);
+                MySwal.fire("Created!", "New stage has been added.", "success");
+            },
+        });
     };
 
     // ✅ Edit Stage Name
@@ -71,13 +93,11 @@ const FollowUpPage = () => {
 
         if (!name || name === currentName) return;
 
-        try {
-            await axios.put(`/api/stages/${id}`, { name });
-            setStages(stages.map((s) => (s._id === id ? { ...s, name } : s)));
-            MySwal.fire("Updated!", "Stage name has been updated.", "success");
-        } catch (error) {
-            MySwal.fire("Error!", "Failed to update stage.", "error");
-        }
+        runMutation({
+            label: "Rename stage",
+            ...patchInList(setStages, id, { name }),
+            request: () => axios.put(`/api/stages/${id}`, { name }),
+        });
     };
 
     // ✅ Delete Stage
@@ -103,64 +123,89 @@ const FollowUpPage = () => {
                 fallbackStageId = stages[stageIndex + 1]._id;
             }
 
-            // 2. Optimistic Update: Move Bills
-            const updatedBills = bills.map(b =>
-                b.stageId === id ? { ...b, stageId: fallbackStageId } : b
-            );
-            setBills(updatedBills);
-
-            // 3. Optimistic Update: Remove Stage
-            const previousStages = [...stages];
-            setStages(stages.filter((s) => s._id !== id));
-
-            try {
-                const res = await axios.delete(`/api/stages/${id}`);
-                // Use backend response if needed, but optimistic is usually fine
-                MySwal.fire("Deleted!", "Stage has been deleted.", "success");
-            } catch (error) {
-                // Revert on error
-                setStages(previousStages);
-                fetchData(); // Re-fetch to be safe
-                MySwal.fire("Error!", "Failed to delete stage.", "error");
-            }
+            // 2. Optimistic Update: Move Bills, Remove Stage
+            const movedIds = new Set(bills.filter(b => b.stageId === id).map(b => b._id));
+            const stageRemoval = removeFromList(setStages, id);
+
+            runMutation({
+                label: "Delete stage",
+                apply: () => {
+                    setBills(prev => prev.map(b => movedIds.has(b._id) ? { ...b, stageId: fallbackStageId } : b));
+                    stageRemoval.apply();
+                },
+                rollback: () => {
+                    setBills(prev => prev.map(b => movedIds.has(b._id) ? { ...b, stageId: id } : b));
+                    stageRemoval.rollback();
+                },
+                request: () => axios.delete(`/api/stages/${id}`),
+                onSuccess: () => MySwal.fire("Deleted!", "Stage has been deleted.", "success"),
+            });
         }
     };
 
     // ✅ Update Priority directly on Card
-    const updatePriority = async (billId, newPriority) => {
-        console.log(`🔄 Updating Priority for Bill ID: ${billId} to ${newPriority}`);
+    const updatePriority = (billId, newPriority) => {
+        runMutation({
+            label: "Priority update",
+            ...patchInList(setBills, billId, { priority: newPriority }),
+            request: () => axios.put(`/api/bills/${billId}`, { priority: newPriority }),
+            onSuccess: bumpActivity,
+        });
+    };
 
-        // Optimistic Update
-        setBills(prevBills => prevBills.map(b => b._id === billId ? { ...b, priority: newPriority } : b));
+    // ✅ Follow-up date, from the modal; the card chip and the modal both update straight away
+    const updateFollowUp = (billId, followUpAt) => {
+        const card = patchInList(setBills, billId, { followUpAt });
+        const previous = selectedBill?._id === billId ? selectedBill.followUpAt : undefined;
+        runMutation({
+            label: "Follow-up update",
+            apply: () => {
+                card.apply();
+                setSelectedBill(prev => (prev?._id === billId ? { ...prev, followUpAt } : prev));
+            },
+            rollback: () => {
+                card.rollback();
+                setSelectedBill(prev => (prev?._id === billId ? { ...prev, followUpAt: previous } : prev));
+            },
+            request: () => axios.put(`/api/bills/${billId}`, { followUpAt }),
+            onSuccess: bumpActivity,
+        });
+    };
 
-        try {
-            await axios.put(`/api/bills/${billId}`, { priority: newPriority });
-        } catch (error) {
-            console.error("Failed to update priority", error);
-            MySwal.fire({
-                icon: 'error',
-                title: 'Update Failed',
-                text: 'Could not update priority',
-                toast: true,
-                position: 'top-end',
-                showConfirmButton: false,
-                timer: 3000
-            });
-        }
+    // ✅ Notes are saved by NoteThread; mirror the result on the card and in the open modal
+    const updateNotes = (billId, patch) => {
+        setBills(prev => prev.map(b => b._id === billId ? { ...b, ...patch } : b));
+        setSelectedBill(prev => (prev?._id === billId ? { ...prev, ...patch } : prev));
+        bumpActivity();
     };
 
     // ✅ Update Status
-    const updateStatus = async (billId, newStatus) => {
-        try {
-            await axios.put(`/api/bills/${billId}`, { status: newStatus });
-
-            if (newStatus === "inprocess") {
-                setBills(prev => prev.map(b => b._id === billId ? { ...b, status: newStatus } : b));
-                setSelectedBill(prev => ({ ...prev, status: newStatus }));
-            } else {
-                setBills(prev => prev.filter(b => b._id !== billId));
-                setSelectedBill(null);
-                MySwal.fire({
+    const updateStatus = (billId, newStatus) => {
+        // Bills leaving "inprocess" drop off the board; rolling back puts them back in place
+        const staysOnBoard = newStatus === "inprocess";
+        const boardChange = staysOnBoard
+            ? patchInList(setBills, billId, { status: newStatus })
+            : removeFromList(setBills, billId);
+        const previousSelected = selectedBill;
+
+        runMutation({
+            label: "Status update",
+            apply: () => {
+                boardChange.apply();
+                setSelectedBill(staysOnBoard ? prev => ({ ...prev, status: newStatus }) : null);
+            },
+            rollback: () => {
+                boardChange.rollback();
+                // The modal closed if the bill left the board; reopen it unless another bill was opened since
+                setSelectedBill(prev => {
+                    if (prev) return prev._id === billId ? { ...prev, status: previousSelected?.status } : prev;
+                    return previousSelected?._id === billId ? previousSelected : prev;
+                });
+            },
+            request: () => axios.put(`/api/bills/${billId}`, { status: newStatus }),
+            onSuccess: () => {
+                bumpActivity();
+                if (!staysOnBoard) MySwal.fire({
                     icon: 'success',
                     title: 'Status Updated',
                     text: `Bill moved to ${newStatus}`,
@@ -168,11 +213,8 @@ const FollowUpPage = () => {
                     showConfirmButton: false,
                     position: 'center'
                 });
-            }
-        } catch (error) {
-            console.error("Failed to update status", error);
-            MySwal.fire("Error", "Could not update status", "error");
-        }
+            },
+        });
     };
 
 
@@ -185,7 +227,7 @@ const FollowUpPage = () => {
         isDraggingRef.current = true;
     };
 
-    const onDragEnd = async (result) => {
+    const onDragEnd = (result) => {
         isDraggingRef.current = false;
         autoScrollSpeedRef.current = 0;
 
@@ -197,19 +239,14 @@ const FollowUpPage = () => {
         )
             return;
 
-        // Optimistic UI Update
+        // Optimistic UI Update, rolled back if the API call fails
         const newStageId = destination.droppableId;
-        const updatedBills = bills.map((b) =>
-            b._id === draggableId ? { ...b, stageId: newStageId } : b
-        );
-        setBills(updatedBills);
-
-        // Call API
-        try {
-            await axios.put(`/api/bills/${draggableId}`, { stageId: newStageId });
-        } catch (error) {
-            console.error("Failed to update stage:", error);
-        }
+        runMutation({
+            label: "Stage move",
+            ...patchInList(setBills, draggableId, { stageId: newStageId }),
+            request: () => axios.put(`/api/bills/${draggableId}`, { stageId: newStageId }),
+            onSuccess: bumpActivity,
+        });
     };
 
     // ⚡ Custom Auto-Scroll Hook Logic (Renderless)
@@ -268,12 +305,12 @@ const FollowUpPage = () => {
             stageBills = stageBills.filter(b => b.priority === globalFilter);
         }
 
-        // 3. Sort by priority (Robust & Case-Insensitive)
+        // 3. Sort by priority (Robust & Case-Insensitive), then nearest due date
         return stageBills.sort((a, b) => {
             const priorities = { p1: 3, p2: 2, p3: 1, none: 0 };
             const pA = priorities[(a.priority || "none").toLowerCase()] || 0;
             const pB = priorities[(b.priority || "none").toLowerCase()] || 0;
-            return pB - pA;
+            return pB - pA || compareBillDates(a.billDueDate, b.billDueDate);
         });
     };
 
@@ -321,27 +358,6 @@ const FollowUpPage = () => {
         }
     };
 
-    const getMonthNumber = (month) => {
-        const months = {
-            'Jan': '01', 'Feb': '02', 'Mar': '03', 'Apr': '04', 'May': '05', 'Jun': '06',
-            'Jul': '07', 'Aug': '08', 'Sep': '09', 'Oct': '10', 'Nov': '11', 'Dec': '12'
-        };
-        return months[month] || '01';
-    };
-
-    const getDaysUntilDue = (dueDate) => {
-        try {
-            const parts = dueDate.split('-');
-            const due = new Date(`20${parts[2]}-${getMonthNumber(parts[1])}-${parts[0]}`);
-            const today = new Date();
-            const diffTime = due - today;
-            const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-            return diffDays;
-        } catch {
-            return 0;
-        }
-    };
-
     if (loading) return <div className="p-10 text-center animate-pulse">Loading Pipeline...</div>;
 
     return (
@@ -470,13 +486,33 @@ const FollowUpPage = () => {
                                                                 <p className="text-xs text-gray-500 flex items-center gap-1 font-mono">
                                                                     🆔 {bill.consumerNumber || "No ID"}
                                                                 </p>
+                                                                {bill.mobileNo && (
+                                                                    <p className="text-xs text-gray-500 flex items-center gap-1 font-mono">
+                                                                        📱 {bill.mobileNo}
+                                                                    </p>
+                                                                )}
                                                                 <p className="text-lg font-bold text-gray-700 dark:text-gray-200 tracking-tight">
-                                                                    {bill.billAmount || "₹0"}
+                                                                    {displayAmount(bill.billAmount)}
                                                                 </p>
                                                             </div>
 
+                                                            <ContactActions bill={bill} size="sm" className="mt-2" />
+                                                            <FollowUpChip value={bill.followUpAt} className="inline-block mt-2" />
+
+                                                            {/* Latest Note Preview */}
+                                                            {latestNote(bill) && (
+                                                                <p className="mt-2 text-xs italic text-gray-500 dark:text-gray-400 line-clamp-2">
+                                                                    💬 {latestNote(bill).text}
+                                                                </p>
+                                                            )}
+
                                                             <div className="mt-3 pt-3 border-t border-gray-100 flex justify-between text-xs text-gray-400">
                                                                 <span>📅 {bill.billDate || "No Date"}</span>
+                                                                {getDueStatus(bill.billDueDate).state === "overdue" && (
+                                                                    <span className="text-red-500 font-semibold">
+                                                                        ⏰ {getDueStatus(bill.billDueDate).days}d overdue
+                                                                    </span>
+                                                                )}
                                                             </div>
                                                         </div>
                                                     )}
@@ -528,10 +564,21 @@ const FollowUpPage = () => {
                                     </button>
 
                                     {/* Customer Name */}
-                                    <h2 className="text-2xl font-bold mb-6 mt-2 text-gray-800 dark:text-white">
+                                    <h2 className="text-2xl font-bold mb-3 mt-2 text-gray-800 dark:text-white">
                                         {selectedBill.name}
                                     </h2>
 
+                                    {/* Deep Link */}
+                                    <div className="flex gap-2 mb-6">
+                                        <Link
+                                            to={billPath(selectedBill._id)}
+                                            className="px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 bg-blue-100 text-blue-700 hover:bg-blue-200 dark:bg-blue-900/30 dark:text-blue-400"
+                                        >
+                                            <ExternalLink className="w-4 h-4" /> Open full page
+                                        </Link>
+                                        <CopyLinkButton url={billUrl(selectedBill._id)} />
+                                    </div>
+
                                     {/* Key Info Grid */}
                                     <div className="space-y-3 mb-6">
                                         <div className="flex items-center gap-3 p-3 rounded-xl bg-blue-50 dark:bg-gray-700/50">
@@ -564,15 +611,11 @@ const FollowUpPage = () => {
                                     {/* Amount Highlight */}
                                     <div className="p-5 rounded-xl mb-6 bg-gradient-to-r from-blue-600 to-purple-600 text-white shadow-lg">
                                         <p className="text-sm opacity-90">Bill Amount</p>
-                                        <p className="text-4xl font-bold mt-1">{selectedBill.billAmount}</p>
+                                        <p className="text-4xl font-bold mt-1">{displayAmount(selectedBill.billAmount)}</p>
                                         <div className="flex items-center gap-2 mt-2 text-sm">
                                             <Calendar className="w-4 h-4" />
                                             <span>Due: {selectedBill.billDueDate}</span>
-                                            {getDaysUntilDue(selectedBill.billDueDate) > 0 && (
-                                                <span className="ml-auto bg-white/20 px-2 py-1 rounded-full text-xs">
-                                                    {getDaysUntilDue(selectedBill.billDueDate)} days left
-                                                </span>
-                                            )}
+                                            <DueDateBadge dueDate={selectedBill.billDueDate} />
                                         </div>
                                     </div>
 
@@ -594,16 +637,25 @@ const FollowUpPage = () => {
                                             <span className="text-gray-500 dark:text-gray-400">Bill Period</span>
                                             <span className="font-semibold text-gray-800 dark:text-white">{selectedBill.billPeriod}</span>
                                         </div>
-                                        <div className="flex justify-between py-2 border-b border-gray-200 dark:border-gray-700">
-                                            <span className="text-gray-500 dark:text-gray-400">After Due Date</span>
-                                            <span className="font-semibold text-red-500">{selectedBill.billAmountAfterDueDate}</span>
-                                        </div>
                                         <div className="flex justify-between py-2">
-                                            <span className="text-gray-500 dark:text-gray-400">Notes</span>
-                                            <span className="font-semibold text-gray-800 dark:text-white max-w-[50%] text-right truncate">{selectedBill.note || "No notes"}</span>
+                                            <span className="text-gray-500 dark:text-gray-400">After Due Date</span>
+                                            <span className="font-semibold text-red-500">{displayAmount(selectedBill.billAmountAfterDueDate)}</span>
                                         </div>
                                     </div>
 
+                                    {/* Follow-up */}
+                                    <div className="mb-6">
+                                        <FollowUpPicker value={selectedBill.followUpAt} onChange={(value) => updateFollowUp(selectedBill._id, value)} />
+                                    </div>
+
+                                    {/* Notes */}
+                                    <div className="mb-6">
+                                        <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
+                                            Notes
+                                        </label>
+                                        <NoteThread bill={selectedBill} onChange={(patch) => updateNotes(selectedBill._id, patch)} />
+                                    </div>
+
                                     {/* Status Update */}
                                     <div className="mb-6">
                                         <label className="block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300">
@@ -621,15 +673,18 @@ const FollowUpPage = () => {
                                         </select>
                                     </div>
 
+                                    {/* Activity Log */}
+                                    <div className="mb-6">
+                                        <ActivityTimeline
+                                            billId={selectedBill._id}
+                                            stages={stages}
+                                            refreshKey={activityVersion}
+                                        />
+                                    </div>
+
                                     {/* Actions */}
-                                    <div className="flex gap-3">
-                                        <button
-                                            onClick={() => window.location.href = `tel:${selectedBill.mobileNo}`}
-                                            className="flex-1 py-3 bg-green-500 hover:bg-green-600 text-white rounded-xl font-semibold shadow-md transition-all flex items-center justify-center gap-2"
-                                            disabled={!selectedBill.mobileNo}
-                                        >
-                                            <Phone className="w-5 h-5" /> Call
-                                        </button>
+                                    <div className="flex gap-3 items-center">
+                                        <ContactActions bill={selectedBill} />
                                         <button
                                             onClick={() => setSelectedBill(null)}
                                             className="flex-1 py-3 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-white rounded-xl font-semibold transition-all"
@@ -0,0 +1,381 @@
+import React, { useRef, useState } from "react";
+import { FileSpreadsheet, Upload, ArrowRight, ArrowLeft, Loader, CheckCircle, XCircle, AlertCircle, Copy, RotateCcw } from "lucide-react";
+import Swal from "sweetalert2";
+import withReactContent from "sweetalert2-react-content";
+import { BILL_COLUMNS } from "../Utils/billColumns.js";
+import { displayAmount } from "../Utils/money.js";
+import {
+  REQUIRED_FIELDS,
+  parseSpreadsheet,
+  guessMapping,
+  prepareImportRows,
+  findExistingBills,
+  duplicateKey,
+  submitImport,
+} from "../Utils/importBills.js";
+
+const MySwal = withReactContent(Swal);
+
+const ImportBills = () => {
+  const [screen, setScreen] = useState("upload"); // upload, map, preview, submitting, report
+  const [fileName, setFileName] = useState("");
+  const [sheet, setSheet] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [importRows, setImportRows] = useState([]);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [checking, setChecking] = useState(false);
+  const [progress, setProgress] = useState({ current: 0, total: 0 });
+  const [report, setReport] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // ✅ Step 1: read the spreadsheet
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = await parseSpreadsheet(file);
+      if (!parsed.rows.length) {
+        MySwal.fire("Empty file", "No data rows were found in the first sheet.", "warning");
+        return;
+      }
+      setFileName(file.name);
+      setSheet(parsed);
+      setMapping(guessMapping(parsed.headers));
+      setScreen("map");
+    } catch (err) {
+      console.error("❌ Could not parse file:", err);
+      MySwal.fire("Error!", "This file could not be read as CSV or Excel.", "error");
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFile(e.dataTransfer.files?.[0]);
+  };
+
+  // ✅ Step 2 → 3: validate rows and look for duplicates
+  const handlePreview = async () => {
+    const missing = REQUIRED_FIELDS.filter((key) => mapping[key] < 0);
+    if (missing.length) {
+      MySwal.fire(
+        "Missing columns",
+        `Map a column for: ${missing.map((key) => BILL_COLUMNS.find((c) => c.key === key).label).join(", ")}`,
+        "warning"
+      );
+      return;
+    }
+
+    setChecking(true);
+    const rows = prepareImportRows(sheet.rows, mapping);
+
+    try {
+      const existing = await findExistingBills(rows.filter((r) => !r.errors.length).map((r) => r.bill));
+      rows.forEach((r) => {
+        r.existsInDb = existing.has(duplicateKey(r.bill));
+      });
+    } catch (err) {
+      console.error("❌ Duplicate check failed:", err);
+      MySwal.fire({
+        icon: "warning",
+        title: "Could not check existing bills",
+        text: "Only duplicates inside this file are flagged.",
+        toast: true,
+        position: "top-end",
+        showConfirmButton: false,
+        timer: 3000,
+      });
+    }
+
+    setImportRows(rows);
+    setChecking(false);
+    setScreen("preview");
+  };
+
+  const isDuplicate = (row) => row.duplicateOfRow != null || row.existsInDb;
+  const rowsToSubmit = importRows.filter((r) => !r.errors.length && !(skipDuplicates && isDuplicate(r)));
+
+  // ✅ Step 4: submit in batches
+  const handleImport = async () => {
+    if (!rowsToSubmit.length) return;
+    setProgress({ current: 0, total: rowsToSubmit.length });
+    setScreen("submitting");
+
+    const submitted = await submitImport(rowsToSubmit, setProgress);
+    const submittedRows = new Set(submitted.map((r) => r.rowNumber));
+
+    // Rows never sent still belong in the report so nothing silently disappears
+    const skipped = importRows
+      .filter((r) => !submittedRows.has(r.rowNumber))
+      .map((r) => ({
+        rowNumber: r.rowNumber,
+        ok: false,
+        skipped: true,
+        error: r.errors.length
+          ? r.errors.join("; ")
+          : r.duplicateOfRow != null
+            ? `Duplicate of row ${r.duplicateOfRow}`
+            : "Already exists",
+      }));
+
+    setReport([...submitted, ...skipped].sort((a, b) => a.rowNumber - b.rowNumber));
+    setScreen("report");
+  };
+
+  const resetImport = () => {
+    setFileName("");
+    setSheet({ headers: [], rows: [] });
+    setMapping({});
+    setImportRows([]);
+    setReport([]);
+    setScreen("upload");
+  };
+
+  const stepTitle = {
+    upload: "1. Choose a file",
+    map: "2. Map columns",
+    preview: "3. Review rows",
+    submitting: "4. Importing",
+    report: "Import report",
+  }[screen];
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-gray-900 transition-colors duration-300">
+      <div className="max-w-5xl mx-auto p-4 md:p-6 lg:p-8 text-left">
+        {/* Header */}
+        <div className="flex items-center gap-3 mb-8">
+          <div className="p-3 rounded-xl bg-blue-600">
+            <FileSpreadsheet className="w-8 h-8 text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+              Import Bills
+            </h1>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {stepTitle}{fileName && screen !== "upload" ? ` · ${fileName}` : ""}
+            </p>
+          </div>
+        </div>
+
+        {/* Upload Step */}
+        {screen === "upload" && (
+          <div
+            onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+            onDragLeave={(e) => { e.preventDefault(); setIsDragging(false); }}
+            onDrop={handleDrop}
+            onClick={() => fileInputRef.current?.click()}
+            className={`flex flex-col items-center justify-center gap-4 p-12 rounded-2xl border-2 border-dashed cursor-pointer transition-all ${isDragging
+              ? "border-blue-500 bg-blue-50 dark:bg-gray-800"
+              : "border-gray-300 dark:border-gray-700 hover:border-blue-500"
+              }`}
+          >
+            <div className="p-4 bg-blue-100 dark:bg-blue-900/30 rounded-full text-blue-600 dark:text-blue-400">
+              <Upload size={32} />
+            </div>
+            <p className="font-semibold text-gray-800 dark:text-gray-200 text-lg">Drop a CSV or Excel file here</p>
+            <p className="text-sm text-gray-500 dark:text-gray-400">or click to browse · first row must contain column headers</p>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              className="hidden"
+              onChange={(e) => {
+                handleFile(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+            />
+          </div>
+        )}
+
+        {/* Mapping Step */}
+        {screen === "map" && (
+          <div className="space-y-6">
+            <div className="rounded-2xl shadow-lg bg-white dark:bg-gray-800 dark:border dark:border-gray-700 divide-y divide-gray-200 dark:divide-gray-700">
+              {BILL_COLUMNS.map((column) => {
+                const index = mapping[column.key] ?? -1;
+                const sample = index >= 0 ? sheet.rows[0]?.[index] : "";
+                return (
+                  <div key={column.key} className="grid grid-cols-1 md:grid-cols-3 gap-2 items-center p-4">
+                    <span className="font-semibold text-gray-800 dark:text-white">
+                      {column.label}
+                      {REQUIRED_FIELDS.includes(column.key) && <span className="text-red-500"> *</span>}
+                    </span>
+                    <select
+                      value={index}
+                      onChange={(e) => setMapping((prev) => ({ ...prev, [column.key]: Number(e.target.value) }))}
+                      className="p-2 rounded-xl border focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50 dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-900 dark:text-white"
+                    >
+                      <option value={-1}>— Don't import —</option>
+                      {sheet.headers.map((header, i) => (
+                        <option key={i} value={i}>{header || `Column ${i + 1}`}</option>
+                      ))}
+                    </select>
+                    <span className="text-sm text-gray-500 dark:text-gray-400 truncate">{sample ? `e.g. ${sample}` : ""}</span>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="flex justify-between">
+              <button
+                onClick={resetImport}
+                className="px-6 py-3 rounded-xl font-semibold flex items-center gap-2 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-white"
+              >
+                <ArrowLeft className="w-5 h-5" /> Back
+              </button>
+              <button
+                onClick={handlePreview}
+                disabled={checking}
+                className="px-6 py-3 rounded-xl font-semibold flex items-center gap-2 text-white bg-gradient-to-r from-blue-600 to-purple-600 disabled:opacity-50"
+              >
+                {checking ? <Loader className="w-5 h-5 animate-spin" /> : <ArrowRight className="w-5 h-5" />}
+                Preview {sheet.rows.length} rows
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Preview Step */}
+        {screen === "preview" && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[
+                { label: "Rows", value: importRows.length, color: "text-gray-900 dark:text-white" },
+                { label: "Valid", value: importRows.filter((r) => !r.errors.length).length, color: "text-green-500" },
+                { label: "Invalid", value: importRows.filter((r) => r.errors.length).length, color: "text-red-500" },
+                { label: "Duplicates", value: importRows.filter((r) => !r.errors.length && isDuplicate(r)).length, color: "text-yellow-500" },
+              ].map((stat) => (
+                <div key={stat.label} className="p-5 rounded-2xl shadow-lg bg-white dark:bg-gray-800 dark:border dark:border-gray-700">
+                  <p className="text-sm text-gray-600 dark:text-gray-400">{stat.label}</p>
+                  <p className={`text-3xl font-bold mt-1 ${stat.color}`}>{stat.value}</p>
+                </div>
+              ))}
+            </div>
+
+            <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300 font-medium">
+              <input
+                type="checkbox"
+                checked={skipDuplicates}
+                onChange={(e) => setSkipDuplicates(e.target.checked)}
+                className="w-4 h-4 accent-blue-600"
+              />
+              Skip duplicates (same Consumer No. + Bill Month)
+            </label>
+
+            <div className="rounded-2xl shadow-lg bg-white dark:bg-gray-800 dark:border dark:border-gray-700 max-h-[50vh] overflow-auto">
+              <table className="w-full text-sm">
+                <thead className="sticky top-0 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200">
+                  <tr>
+                    <th className="p-3 text-left">Row</th>
+                    <th className="p-3 text-left">Name</th>
+                    <th className="p-3 text-left">Consumer No.</th>
+                    <th className="p-3 text-left">Bill Month</th>
+                    <th className="p-3 text-left">Bill Amount</th>
+                    <th className="p-3 text-left">Result</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-gray-800 dark:text-gray-200">
+                  {importRows.map((row) => (
+                    <tr key={row.rowNumber} className={row.errors.length ? "bg-red-50 dark:bg-red-900/10" : isDuplicate(row) ? "bg-yellow-50 dark:bg-yellow-900/10" : ""}>
+                      <td className="p-3 font-mono">{row.rowNumber}</td>
+                      <td className="p-3">{row.bill.name}</td>
+                      <td className="p-3 font-mono">{row.bill.consumerNumber}</td>
+                      <td className="p-3">{row.bill.billMonth}</td>
+                      <td className="p-3">{displayAmount(row.bill.billAmount)}</td>
+                      <td className="p-3">
+                        {row.errors.length ? (
+                          <span className="flex items-start gap-1 text-red-600"><XCircle className="w-4 h-4 shrink-0" />{row.errors.join("; ")}</span>
+                        ) : row.duplicateOfRow != null ? (
+                          <span className="flex items-center gap-1 text-yellow-600"><Copy className="w-4 h-4" />Duplicate of row {row.duplicateOfRow}</span>
+                        ) : row.existsInDb ? (
+                          <span className="flex items-center gap-1 text-yellow-600"><Copy className="w-4 h-4" />Already exists</span>
+                        ) : (
+                          <span className="flex items-center gap-1 text-green-600"><CheckCircle className="w-4 h-4" />Ready</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex justify-between">
+              <button
+                onClick={() => setScreen("map")}
+                className="px-6 py-3 rounded-xl font-semibold flex items-center gap-2 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-white"
+              >
+                <ArrowLeft className="w-5 h-5" /> Back
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={!rowsToSubmit.length}
+                className="px-6 py-3 rounded-xl font-semibold flex items-center gap-2 text-white bg-gradient-to-r from-blue-600 to-purple-600 disabled:opacity-50"
+              >
+                <Upload className="w-5 h-5" /> Import {rowsToSubmit.length} bills
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Submitting Step */}
+        {screen === "submitting" && (
+          <div className="flex flex-col items-center gap-4 py-16">
+            <Loader className="w-12 h-12 text-blue-500 animate-spin" />
+            <p className="text-lg font-semibold text-gray-800 dark:text-white">
+              Importing {progress.current} / {progress.total}
+            </p>
+            <div className="w-full max-w-md h-3 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+              <div
+                className="h-full bg-gradient-to-r from-blue-600 to-purple-600 transition-all"
+                style={{ width: `${progress.total ? (progress.current / progress.total) * 100 : 0}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Report Step */}
+        {screen === "report" && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="p-5 rounded-2xl shadow-lg bg-white dark:bg-gray-800 dark:border dark:border-gray-700">
+                <p className="text-sm text-gray-600 dark:text-gray-400">Imported</p>
+                <p className="text-3xl font-bold mt-1 text-green-500">{report.filter((r) => r.ok).length}</p>
+              </div>
+              <div className="p-5 rounded-2xl shadow-lg bg-white dark:bg-gray-800 dark:border dark:border-gray-700">
+                <p className="text-sm text-gray-600 dark:text-gray-400">Failed</p>
+                <p className="text-3xl font-bold mt-1 text-red-500">{report.filter((r) => !r.ok && !r.skipped).length}</p>
+              </div>
+              <div className="p-5 rounded-2xl shadow-lg bg-white dark:bg-gray-800 dark:border dark:border-gray-700">
+                <p className="text-sm text-gray-600 dark:text-gray-400">Skipped</p>
+                <p className="text-3xl font-bold mt-1 text-yellow-500">{report.filter((r) => r.skipped).length}</p>
+              </div>
+            </div>
+
+            {report.some((r) => !r.ok) && (
+              <div className="rounded-2xl shadow-lg bg-white dark:bg-gray-800 dark:border dark:border-gray-700 max-h-[50vh] overflow-auto divide-y divide-gray-200 dark:divide-gray-700">
+                {report.filter((r) => !r.ok).map((r) => (
+                  <div key={r.rowNumber} className="flex gap-4 p-3 text-sm">
+                    <span className="font-mono text-gray-500 shrink-0">Row {r.rowNumber}</span>
+                    <span className={`flex items-start gap-1 ${r.skipped ? "text-yellow-600" : "text-red-600"}`}>
+                      <AlertCircle className="w-4 h-4 shrink-0" />
+                      {r.error}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <button
+              onClick={resetImport}
+              className="px-6 py-3 rounded-xl font-semibold flex items-center gap-2 text-white bg-gradient-to-r from-blue-600 to-purple-600"
+            >
+              <RotateCcw className="w-5 h-5" /> Import another file
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportBills;
@@ -0,0 +1,208 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { AlertTriangle, Download, Loader } from "lucide-react";
+import Swal from "sweetalert2";
+import withReactContent from "sweetalert2-react-content";
+import { fetchAllBills } from "../Hooks/useInfiniteBills.js";
+import { lateFeeReport } from "../Utils/lateFees.js";
+import { formatMonthKey } from "../Utils/dates.js";
+import { formatAmount, parseAmount } from "../Utils/money.js";
+import { downloadReportXlsx } from "../Utils/exportBills.js";
+import { billPath } from "../Utils/billLinks.js";
+
+const MySwal = withReactContent(Swal);
+const BILLS_SHOWN = 100;
+
+const summaryColumns = (label) => [
+  { label },
+  { label: "Overdue Bills" },
+  { label: "Late Fees", type: "amount" },
+  { label: "Penalty Unknown" },
+];
+
+const REPORT_BILL_COLUMNS = [
+  { label: "Customer Name" },
+  { label: "Consumer No." },
+  { label: "Billing Unit" },
+  { label: "Bill Month" },
+  { label: "Due Date" },
+  { label: "Days Overdue" },
+  { label: "Bill Amount", type: "amount" },
+  { label: "After Due Date", type: "amount" },
+  { label: "Late Fee", type: "amount" },
+];
+
+const monthLabel = (key) => (key ? formatMonthKey(key) : "Unknown month");
+
+// Summary table shared by the billing-unit and month breakdowns
+const SummaryTable = ({ title, label, rows, formatKey = (key) => key }) => (
+  <div className="p-5 rounded-2xl shadow bg-white dark:bg-gray-800 dark:border dark:border-gray-700 overflow-x-auto">
+    <h2 className="font-bold text-gray-900 dark:text-white mb-3">{title}</h2>
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+          <th className="py-2 pr-4">{label}</th>
+          <th className="py-2 pr-4 text-right">Bills</th>
+          <th className="py-2 text-right">Late Fees</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.key} className="border-b border-gray-100 dark:border-gray-700/50 text-gray-800 dark:text-gray-200">
+            <td className="py-2 pr-4">{formatKey(row.key)}</td>
+            <td className="py-2 pr-4 text-right">
+              {row.count}
+              {row.unknown > 0 && <span className="text-xs text-gray-500 dark:text-gray-400" title="Penalty unknown"> ({row.unknown}?)</span>}
+            </td>
+            <td className="py-2 text-right font-semibold text-red-600 dark:text-red-400">{formatAmount(row.penalty)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// ✅ What overdue bills cost in penalties, by billing unit and bill month
+const LateFeesPage = () => {
+  const [bills, setBills] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchAllBills({ overdueOnly: true })
+      .then(setBills)
+      .catch((err) => {
+        console.error("❌ Error fetching overdue bills:", err);
+        MySwal.fire("Error!", "Could not load overdue bills.", "error");
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const report = useMemo(() => lateFeeReport(bills), [bills]);
+
+  const handleExport = async () => {
+    const summaryRows = (rows, formatKey) => rows.map((r) => [formatKey(r.key), r.count, r.penalty, r.unknown]);
+    try {
+      await downloadReportXlsx(
+        [
+          { name: "By Billing Unit", columns: summaryColumns("Billing Unit"), rows: summaryRows(report.byUnit, (k) => k) },
+          { name: "By Month", columns: summaryColumns("Bill Month"), rows: summaryRows(report.byMonth, monthLabel) },
+          {
+            name: "Bills",
+            columns: REPORT_BILL_COLUMNS,
+            rows: report.bills.map(({ bill, days, penalty }) => [
+              bill.name || "",
+              bill.consumerNumber || "",
+              bill.billingUnit || "",
+              bill.billMonth || "",
+              bill.billDueDate || "",
+              days,
+              parseAmount(bill.billAmount) ?? "",
+              parseAmount(bill.billAmountAfterDueDate) ?? "",
+              penalty ?? "",
+            ]),
+          },
+        ],
+        `late_fees_${new Date().toISOString().slice(0, 10)}.xlsx`
+      );
+    } catch (err) {
+      console.error("❌ Export failed:", err);
+      MySwal.fire("Error!", "Could not export the report.", "error");
+    }
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto p-4 md:p-6 lg:p-8">
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-3 rounded-xl bg-red-500">
+            <AlertTriangle className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Late-Fee Exposure</h1>
+            <p className="text-sm text-gray-600 dark:text-gray-400">Penalties on unpaid bills past their due date</p>
+          </div>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={!report.count}
+          className="px-4 py-2 rounded-xl font-semibold flex items-center gap-2 bg-white dark:bg-gray-800 shadow hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" /> Export
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center gap-2 py-20 text-gray-500 dark:text-gray-400">
+          <Loader className="w-6 h-6 animate-spin" /> Loading...
+        </div>
+      ) : !report.count ? (
+        <div className="text-center py-20 text-gray-500 dark:text-gray-400">
+          <AlertTriangle className="w-12 h-12 mx-auto mb-3 opacity-50" />
+          No overdue bills. Nothing is accruing late fees.
+        </div>
+      ) : (
+        <>
+          {/* Headline numbers */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            {[
+              { label: "Total late-fee exposure", value: formatAmount(report.total), accent: "text-red-600 dark:text-red-400" },
+              { label: "Overdue bills", value: report.count },
+              { label: "Penalty unknown", value: report.unknown, hint: "After-due amount missing or unreadable" },
+            ].map((card) => (
+              <div key={card.label} title={card.hint} className="p-4 rounded-2xl shadow bg-white dark:bg-gray-800 dark:border dark:border-gray-700">
+                <p className="text-xs text-gray-500 dark:text-gray-400">{card.label}</p>
+                <p className={`text-2xl font-bold ${card.accent || "text-gray-900 dark:text-white"}`}>{card.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            <SummaryTable title="By billing unit" label="Billing Unit" rows={report.byUnit} />
+            <SummaryTable title="By bill month" label="Month" rows={report.byMonth} formatKey={monthLabel} />
+          </div>
+
+          {/* Biggest penalties first */}
+          <div className="p-5 rounded-2xl shadow bg-white dark:bg-gray-800 dark:border dark:border-gray-700 overflow-x-auto">
+            <h2 className="font-bold text-gray-900 dark:text-white mb-3">
+              Overdue bills
+              {report.count > BILLS_SHOWN && (
+                <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">top {BILLS_SHOWN} of {report.count} — export for all</span>
+              )}
+            </h2>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                  <th className="py-2 pr-4">Customer</th>
+                  <th className="py-2 pr-4">Billing Unit</th>
+                  <th className="py-2 pr-4">Due Date</th>
+                  <th className="py-2 pr-4 text-right">Days Overdue</th>
+                  <th className="py-2 text-right">Late Fee</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.bills.slice(0, BILLS_SHOWN).map(({ bill, days, penalty }) => (
+                  <tr key={bill._id} className="border-b border-gray-100 dark:border-gray-700/50 text-gray-800 dark:text-gray-200">
+                    <td className="py-2 pr-4">
+                      <Link to={billPath(bill._id)} className="font-medium text-blue-600 hover:underline dark:text-blue-400">
+                        {bill.name || "Unnamed"}
+                      </Link>
+                    </td>
+                    <td className="py-2 pr-4">{bill.billingUnit || "—"}</td>
+                    <td className="py-2 pr-4">{bill.billDueDate}</td>
+                    <td className="py-2 pr-4 text-right">{days}</td>
+                    <td className="py-2 text-right font-semibold text-red-600 dark:text-red-400">
+                      {penalty == null ? <span className="text-gray-400 font-normal">unknown</span> : formatAmount(penalty)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LateFeesPage;
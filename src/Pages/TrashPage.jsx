@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { motion, AnimatePresence } from "framer-motion";
+import { Trash2, RotateCcw, Loader, AlertTriangle } from "lucide-react";
+import Swal from "sweetalert2";
+import withReactContent from "sweetalert2-react-content";
+import { displayAmount } from "../Utils/money.js";
+import { billPath } from "../Utils/billLinks.js";
+import { emptyTrash, fetchTrash, purgeBill, restoreBill } from "../Utils/trash.js";
+import { removeFromList, runMutation } from "../Utils/mutations.js";
+
+const MySwal = withReactContent(Swal);
+
+// ✅ Soft-deleted bills: restore them or delete them for good
+const TrashPage = () => {
+  const [bills, setBills] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchTrash()
+      .then(setBills)
+      .catch((err) => {
+        console.error("❌ Error fetching trash:", err);
+        MySwal.fire("Error!", "Could not load the Trash.", "error");
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleRestore = (bill) => {
+    runMutation({
+      label: "Restore",
+      ...removeFromList(setBills, bill._id),
+      request: () => restoreBill(bill._id),
+      onSuccess: () =>
+        MySwal.fire({ icon: "success", title: `${bill.name || "Bill"} restored`, toast: true, position: "top-end", showConfirmButton: false, timer: 2000 }),
+    });
+  };
+
+  const handlePurge = async (bill) => {
+    const result = await MySwal.fire({
+      title: "Delete permanently?",
+      text: `${bill.name || "This bill"} will be gone for good. This cannot be undone!`,
+      icon: "warning",
+      showCancelButton: true,
+      confirmButtonColor: "#d33",
+      cancelButtonColor: "#3085d6",
+      confirmButtonText: "Yes, delete forever",
+    });
+    if (!result.isConfirmed) return;
+
+    // Wait for the server before removing it: a purge that failed shouldn't look like it worked
+    setBusyId(bill._id);
+    await runMutation({
+      label: "Permanent delete",
+      request: () => purgeBill(bill._id),
+      onSuccess: () => setBills((prev) => prev.filter((b) => b._id !== bill._id)),
+    });
+    setBusyId(null);
+  };
+
+  const handleEmpty = async () => {
+    const result = await MySwal.fire({
+      title: "Empty the Trash?",
+      text: `All ${bills.length} bills will be permanently deleted. This cannot be undone!`,
+      icon: "warning",
+      showCancelButton: true,
+      confirmButtonColor: "#d33",
+      cancelButtonColor: "#3085d6",
+      confirmButtonText: "Empty Trash",
+    });
+    if (!result.isConfirmed) return;
+
+    runMutation({
+      label: "Empty Trash",
+      request: emptyTrash,
+      onSuccess: () => {
+        setBills([]);
+        MySwal.fire("Done!", "The Trash is empty.", "success");
+      },
+    });
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto p-4 md:p-6 lg:p-8">
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-3 rounded-xl bg-red-500">
+            <Trash2 className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Trash</h1>
+            <p className="text-sm text-gray-600 dark:text-gray-400">Deleted bills stay here until restored or deleted permanently</p>
+          </div>
+        </div>
+        {bills.length > 0 && (
+          <button
+            onClick={handleEmpty}
+            className="px-4 py-2 rounded-xl font-semibold flex items-center gap-2 bg-red-100 text-red-700 hover:bg-red-200 dark:bg-red-900/30 dark:text-red-400"
+          >
+            <AlertTriangle className="w-4 h-4" /> Empty Trash
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center gap-2 py-20 text-gray-500 dark:text-gray-400">
+          <Loader className="w-6 h-6 animate-spin" /> Loading...
+        </div>
+      ) : !bills.length ? (
+        <div className="text-center py-20 text-gray-500 dark:text-gray-400">
+          <Trash2 className="w-12 h-12 mx-auto mb-3 opacity-50" />
+          The Trash is empty.
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          <AnimatePresence>
+            {bills.map((bill) => (
+              <motion.li
+                key={bill._id}
+                layout
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, x: -40 }}
+                className="flex flex-wrap items-center gap-4 p-4 rounded-2xl shadow bg-white dark:bg-gray-800 dark:border dark:border-gray-700"
+              >
+                <div className="flex-1 min-w-[12rem]">
+                  <Link to={billPath(bill._id)} className="font-bold text-gray-900 dark:text-white hover:underline">
+                    {bill.name || "Unnamed"}
+                  </Link>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    🆔 {bill.consumerNumber || "—"} · {displayAmount(bill.billAmount)}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Deleted {bill.deletedAt ? new Date(bill.deletedAt).toLocaleString("en-IN") : ""}
+                    {bill.deletedBy && ` by ${bill.deletedBy}`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleRestore(bill)}
+                    disabled={busyId === bill._id}
+                    className="px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 bg-blue-100 text-blue-700 hover:bg-blue-200 dark:bg-blue-900/30 dark:text-blue-400 disabled:opacity-50"
+                  >
+                    <RotateCcw className="w-4 h-4" /> Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge(bill)}
+                    disabled={busyId === bill._id}
+                    className="px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1 bg-red-500 text-white hover:bg-red-600 disabled:opacity-50"
+                  >
+                    <Trash2 className="w-4 h-4" /> Delete forever
+                  </button>
+                </div>
+              </motion.li>
+            ))}
+          </AnimatePresence>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TrashPage;
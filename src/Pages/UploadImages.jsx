@@ -1,5 +1,6 @@
 import React, { useState, useRef, useCallback, useEffect } from 'react';
 import { Camera, Upload, X, Check, ArrowRight, ArrowLeft, Loader, Plus, Minus, RotateCcw } from 'lucide-react';
+import { userHeaders } from '../Utils/currentUser.js';
 
 const PhotoUploadApp = () => {
   const [screen, setScreen] = useState('home'); // home, camera, uploading, success
@@ -247,6 +248,7 @@ const PhotoUploadApp = () => {
            try {
               const res = await fetch(`${backendURL}/api/upload-images`, {
                   method: 'POST',
+                  headers: userHeaders(), // Attribute created bills in the activity log
                   body: formData
               });
               const data = await res.json();
@@ -0,0 +1,13 @@
+import axios from "axios";
+
+// ✅ Per-bill activity log, written by the backend for every change made through the API and stamped with
+// the request's X-User-Name. Entries: { _id, type, action, from, to, by, at, source, batchId }; the types
+// and how to word them are in ActivityTimeline.
+export const fetchActivity = async (billId) => {
+  const res = await axios.get(`/api/bills/${billId}/activity`);
+  const entries = res.data?.data || res.data || [];
+  return [...entries].sort((a, b) => new Date(b.at) - new Date(a.at));
+};
+
+// Unique id for one upload / import run, so every bill it creates can be traced back to it
+export const newBatchId = (prefix = "batch") => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
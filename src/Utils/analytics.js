@@ -0,0 +1,109 @@
+import { parseAmount } from "./money.js";
+import { billMonthKey, getDueStatus } from "./dates.js";
+import { parseUnits } from "./consumers.js";
+
+export const STATUS_ORDER = ["pending", "inprocess", "success", "fail"];
+const TOP_UNITS = 12;
+
+const CONSUMPTION_BUCKETS = [
+  { label: "0–100", max: 100 },
+  { label: "101–200", max: 200 },
+  { label: "201–300", max: 300 },
+  { label: "301–500", max: 500 },
+  { label: "501–1000", max: 1000 },
+  { label: "1000+", max: Infinity },
+];
+
+const AGEING_BUCKETS = [
+  { label: "1–30 days", max: 30 },
+  { label: "31–60 days", max: 60 },
+  { label: "61–90 days", max: 90 },
+  { label: "90+ days", max: Infinity },
+];
+
+// The bill amount as billed; amountToPay only when the bill amount couldn't be read
+const billedAmount = (bill) => parseAmount(bill.billAmount) ?? parseAmount(bill.amountToPay) ?? 0;
+
+const monthKeyOf = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+// The last `count` bill months up to this one, oldest first ("2025-01"), for the range pickers
+export const recentMonths = (count, today = new Date()) =>
+  Array.from({ length: count }, (_, i) => monthKeyOf(new Date(today.getFullYear(), today.getMonth() - (count - 1 - i), 1)));
+
+// ✅ Every dashboard aggregate in one pass over the bills of the selected month range.
+// stages: pipeline stages from /api/stages, for naming the stage counts.
+// Outstanding adds each unpaid month's own bill amount: amountToPay carries earlier arrears,
+// so summing it would count a consumer's older unpaid months again in every later bill.
+export const computeDashboard = (bills, stages = [], today = new Date()) => {
+  const byStatus = Object.fromEntries(STATUS_ORDER.map((s) => [s, { count: 0, amount: 0 }]));
+  const byMonth = new Map();
+  const byUnit = new Map();
+  const consumption = CONSUMPTION_BUCKETS.map((b) => ({ ...b, count: 0 }));
+  const ageing = AGEING_BUCKETS.map((b) => ({ ...b, count: 0, amount: 0 }));
+  const byStage = new Map();
+  let notDue = 0;
+  let collected = 0;
+  let outstanding = 0;
+
+  bills.forEach((bill) => {
+    const amount = billedAmount(bill);
+    const status = bill.status || "pending";
+    if (!byStatus[status]) byStatus[status] = { count: 0, amount: 0 };
+    byStatus[status].count += 1;
+    byStatus[status].amount += amount;
+
+    if (status === "success") collected += amount;
+    else outstanding += amount;
+
+    const month = billMonthKey(bill);
+    if (month) {
+      const entry = byMonth.get(month) || { collected: 0, outstanding: 0 };
+      if (status === "success") entry.collected += amount;
+      else entry.outstanding += amount;
+      byMonth.set(month, entry);
+    }
+
+    const unit = bill.billingUnit ? String(bill.billingUnit).trim() : "Unknown";
+    byUnit.set(unit, (byUnit.get(unit) || 0) + 1);
+
+    const units = parseUnits(bill.consumption);
+    if (units != null) consumption.find((b) => units <= b.max).count += 1;
+
+    // Paid bills aren't owed, however old their due date is
+    if (status !== "success") {
+      const due = getDueStatus(bill.billDueDate, today);
+      if (due.state === "overdue") {
+        const bucket = ageing.find((b) => due.days <= b.max);
+        bucket.count += 1;
+        bucket.amount += amount;
+      } else {
+        notDue += 1;
+      }
+    }
+
+    if (status === "inprocess") byStage.set(bill.stageId || null, (byStage.get(bill.stageId || null) || 0) + 1);
+  });
+
+  const unitCounts = [...byUnit.entries()].sort((a, b) => b[1] - a[1]);
+  const otherUnits = unitCounts.slice(TOP_UNITS).reduce((sum, [, count]) => sum + count, 0);
+
+  // In process but not (or no longer) on a known stage
+  const knownStages = new Set(stages.map((s) => s._id));
+  const looseInProcess = [...byStage.entries()].filter(([id]) => !knownStages.has(id)).reduce((sum, [, count]) => sum + count, 0);
+
+  return {
+    total: bills.length,
+    collected,
+    outstanding,
+    byStatus: Object.entries(byStatus).map(([status, value]) => ({ status, ...value })),
+    overTime: [...byMonth.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([month, value]) => ({ month, ...value })),
+    byUnit: [...unitCounts.slice(0, TOP_UNITS).map(([label, count]) => ({ label, count })), ...(otherUnits ? [{ label: "Other", count: otherUnits }] : [])],
+    consumption,
+    ageing,
+    notDue,
+    byStage: [
+      ...stages.map((stage) => ({ label: stage.name, count: byStage.get(stage._id) || 0 })),
+      ...(looseInProcess ? [{ label: "No stage", count: looseInProcess }] : []),
+    ],
+  };
+};
@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { computeDashboard, recentMonths } from "./analytics.js";
+
+describe("recentMonths", () => {
+  it("lists the last N months oldest first, across a year boundary", () => {
+    expect(recentMonths(3, new Date(2025, 0, 15))).toEqual(["2024-11", "2024-12", "2025-01"]);
+  });
+});
+
+describe("computeDashboard", () => {
+  it("splits billed amounts into collected and outstanding", () => {
+    const stats = computeDashboard(
+      [
+        { billMonth: "JAN-2025", billAmount: "1000", status: "success" },
+        { billMonth: "JAN-2025", billAmount: "500", amountToPay: "500", status: "pending" },
+      ],
+      [],
+      new Date(2025, 0, 10)
+    );
+    expect(stats).toMatchObject({ total: 2, collected: 1000, outstanding: 500 });
+  });
+
+  it("counts a consumer's unpaid months once, not again through the arrears in later bills", () => {
+    const stats = computeDashboard(
+      [
+        { consumerNumber: "123456789", billMonth: "JAN-2025", billAmount: "1000", amountToPay: "1000", billDueDate: "20-01-2025", status: "pending" },
+        { consumerNumber: "123456789", billMonth: "FEB-2025", billAmount: "800", amountToPay: "1800", billDueDate: "20-02-2025", status: "pending" },
+        { consumerNumber: "123456789", billMonth: "MAR-2025", billAmount: "900", amountToPay: "2700", billDueDate: "20-03-2025", status: "pending" },
+      ],
+      [],
+      new Date(2025, 3, 1)
+    );
+    expect(stats.outstanding).toBe(2700);
+    expect(stats.overTime.map((m) => m.outstanding)).toEqual([1000, 800, 900]);
+    expect(stats.ageing.reduce((sum, b) => sum + b.amount, 0)).toBe(2700);
+  });
+});
@@ -0,0 +1,38 @@
+import axios from "axios";
+
+export const BATCH_SIZE = 50;
+
+// ✅ Send one bulk operation to /api/bills/batch in chunks.
+// operation: { action: "update", changes } | { action: "appendNote", note }
+//          | { action: "delete" } (to the Trash) | { action: "restore" } | { action: "purge" }
+//          | { action: "logReminder", reminder } (see Utils/reminders.js)
+// Resolves to { succeeded: [id], failed: [{ id, reason }] } — a chunk that errors out marks all of its ids as failed.
+export const runBillBatch = async (ids, operation, onProgress) => {
+  const succeeded = [];
+  const failed = [];
+
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const chunk = ids.slice(i, i + BATCH_SIZE);
+
+    try {
+      const res = await axios.post("/api/bills/batch", { ids: chunk, ...operation });
+      const result = res.data?.data || res.data || {};
+      const chunkFailed = (result.failed || []).map((f) => ({
+        id: f.id || f._id,
+        reason: f.error || f.reason || "Rejected by server",
+      }));
+      const failedIds = new Set(chunkFailed.map((f) => f.id));
+
+      failed.push(...chunkFailed);
+      succeeded.push(...chunk.filter((id) => !failedIds.has(id)));
+    } catch (err) {
+      console.error("❌ Batch request failed:", err);
+      const reason = err.response?.data?.message || "Network Error";
+      failed.push(...chunk.map((id) => ({ id, reason })));
+    }
+
+    onProgress?.({ current: Math.min(i + BATCH_SIZE, ids.length), total: ids.length });
+  }
+
+  return { succeeded, failed };
+};
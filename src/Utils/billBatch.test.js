@@ -0,0 +1,55 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import axios from "axios";
+import { BATCH_SIZE, runBillBatch } from "./billBatch.js";
+
+vi.mock("axios", () => ({ default: { post: vi.fn() } }));
+
+const ids = (count) => Array.from({ length: count }, (_, i) => `id${i}`);
+
+describe("runBillBatch", () => {
+  beforeEach(() => {
+    axios.post.mockReset();
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  it("sends the operation in chunks and reports progress after each", async () => {
+    axios.post.mockResolvedValue({ data: { data: { failed: [] } } });
+    const progress = [];
+
+    const result = await runBillBatch(ids(BATCH_SIZE + 5), { action: "delete" }, (p) => progress.push(p));
+
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(axios.post.mock.calls[1]).toEqual(["/api/bills/batch", { ids: ids(BATCH_SIZE + 5).slice(BATCH_SIZE), action: "delete" }]);
+    expect(result).toEqual({ succeeded: ids(BATCH_SIZE + 5), failed: [] });
+    expect(progress).toEqual([
+      { current: BATCH_SIZE, total: BATCH_SIZE + 5 },
+      { current: BATCH_SIZE + 5, total: BATCH_SIZE + 5 },
+    ]);
+  });
+
+  it("keeps the ids the server rejected apart from the ones it applied", async () => {
+    axios.post.mockResolvedValue({ data: { failed: [{ _id: "id1", error: "Locked" }, { id: "id2" }] } });
+
+    const result = await runBillBatch(ids(3), { action: "update", changes: { priority: "p1" } });
+
+    expect(result).toEqual({
+      succeeded: ["id0"],
+      failed: [
+        { id: "id1", reason: "Locked" },
+        { id: "id2", reason: "Rejected by server" },
+      ],
+    });
+  });
+
+  it("fails every id of a chunk whose request errors out and carries on", async () => {
+    axios.post
+      .mockRejectedValueOnce({ response: { data: { message: "Too many ids" } } })
+      .mockResolvedValueOnce({ data: {} });
+
+    const result = await runBillBatch(ids(BATCH_SIZE + 1), { action: "purge" });
+
+    expect(result.failed).toHaveLength(BATCH_SIZE);
+    expect(result.failed[0]).toEqual({ id: "id0", reason: "Too many ids" });
+    expect(result.succeeded).toEqual([`id${BATCH_SIZE}`]);
+  });
+});
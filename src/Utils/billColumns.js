@@ -0,0 +1,24 @@
+// ✅ Every bill field shown on the card (summary + expanded details), in card order.
+// `sortable` fields can be passed to the backend as sort keys.
+export const BILL_COLUMNS = [
+  { key: "name", label: "Customer Name", sortable: true },
+  { key: "consumerNumber", label: "Consumer No." },
+  { key: "billMonth", label: "Bill Month" },
+  { key: "mobileNo", label: "Mobile" },
+  { key: "billAmount", label: "Bill Amount", type: "amount", sortable: true },
+  { key: "billDueDate", label: "Due Date", type: "date", sortable: true },
+  { key: "billingUnit", label: "Billing Unit" },
+  { key: "consumption", label: "Consumption", sortable: true },
+  { key: "meterStatus", label: "Meter Status" },
+  { key: "billPeriod", label: "Bill Period" },
+  { key: "billAmountAfterDueDate", label: "After Due Date", type: "amount" },
+  { key: "promptPaymentDate", label: "Prompt Payment Date", type: "date", sortable: true },
+  { key: "billAmountWithPromptDiscount", label: "With Prompt Discount", type: "amount" },
+  { key: "billDate", label: "Bill Date", type: "date", sortable: true },
+  { key: "amountToPay", label: "Amount To Pay", type: "amount", sortable: true },
+  { key: "status", label: "Status", sortable: true },
+  { key: "priority", label: "Priority", sortable: true },
+  { key: "note", label: "Notes" },
+];
+
+export const DEFAULT_EXPORT_COLUMNS = BILL_COLUMNS.map((c) => c.key);
@@ -0,0 +1,61 @@
+import { parseAmount } from "./money.js";
+import { parseBillDate, parseBillMonth } from "./dates.js";
+import { parseUnits } from "./consumers.js";
+
+// ✅ Fields the scraper reads off the bill photo, editable by hand when the OCR got them wrong.
+// `check(text)` returns an error message or null; `clean(text)` is what gets stored.
+// A corrected bill carries `correctedFields: { [key]: { original, by, at } }`, sent along with the value
+// on PUT /api/bills/:id. `original` stays the scraped value however often the field is corrected again.
+
+const trim = (text) => String(text ?? "").trim();
+const digitsOnly = (text) => trim(text).replace(/[\s-]/g, "");
+
+const required = (text) => (trim(text) ? null : "Required");
+const amount = (text) => (!trim(text) || parseAmount(text) != null ? null : "Not an amount, e.g. 1250.50");
+const date = (text) => (!trim(text) || parseBillDate(text) ? null : "Not a date, e.g. 05-01-2025");
+
+// Shared with the spreadsheet import so both accept the same consumer numbers
+export const cleanConsumerNumber = digitsOnly;
+export const isValidConsumerNumber = (text) => /^\d{9,15}$/.test(cleanConsumerNumber(text));
+
+export const EDITABLE_FIELDS = [
+  { key: "name", label: "Customer Name", check: required },
+  {
+    key: "consumerNumber",
+    label: "Consumer No.",
+    check: (text) => (isValidConsumerNumber(text) ? null : "9 to 15 digits"),
+    clean: cleanConsumerNumber,
+  },
+  {
+    key: "mobileNo",
+    label: "Mobile",
+    check: (text) => (!trim(text) || /^(\+?91)?[6-9]\d{9}$/.test(digitsOnly(text)) ? null : "10-digit mobile number"),
+    clean: (text) => digitsOnly(text).replace(/^\+?91(?=\d{10}$)/, ""),
+  },
+  { key: "billMonth", label: "Bill Month", check: (text) => (parseBillMonth(text) ? null : "Not a month, e.g. JAN-2025") },
+  { key: "billingUnit", label: "Billing Unit" },
+  { key: "consumption", label: "Consumption", check: (text) => (!trim(text) || parseUnits(text) != null ? null : "Not a number of units") },
+  { key: "meterStatus", label: "Meter Status" },
+  { key: "billPeriod", label: "Bill Period" },
+  { key: "billDate", label: "Bill Date", check: date },
+  { key: "billAmount", label: "Bill Amount", type: "amount", check: (text) => required(text) || amount(text) },
+  { key: "amountToPay", label: "Amount To Pay", type: "amount", check: amount },
+  { key: "billDueDate", label: "Due Date", check: date },
+  { key: "billAmountAfterDueDate", label: "After Due Date", type: "amount", check: amount },
+  { key: "promptPaymentDate", label: "Prompt Payment Date", check: date },
+  { key: "billAmountWithPromptDiscount", label: "With Prompt Discount", type: "amount", check: amount },
+];
+
+export const validateField = (field, text) => field.check?.(text) ?? null;
+
+export const cleanField = (field, text) => (field.clean ? field.clean(text) : trim(text));
+
+export const isCorrected = (bill, key) => Boolean(bill.correctedFields?.[key]);
+
+// The PUT body for correcting one field. Putting the scraped value back drops the marker.
+export const correctionChanges = (bill, key, value, by) => {
+  const { [key]: previous, ...others } = bill.correctedFields || {};
+  const original = previous ? previous.original : bill[key] ?? null;
+  const correctedFields = value === String(original ?? "") ? others : { ...others, [key]: { original, by, at: new Date().toISOString() } };
+  return { [key]: value, correctedFields };
+};
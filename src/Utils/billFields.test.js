@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { EDITABLE_FIELDS, cleanField, correctionChanges, validateField } from "./billFields.js";
+
+const field = (key) => EDITABLE_FIELDS.find((f) => f.key === key);
+
+describe("consumer number", () => {
+  it("accepts 9 to 15 digits, ignoring spaces and dashes", () => {
+    expect(validateField(field("consumerNumber"), "1700 1234 5678")).toBeNull();
+    expect(cleanField(field("consumerNumber"), " 1700-1234-5678 ")).toBe("170012345678");
+  });
+
+  it("rejects misread or short numbers", () => {
+    ["17OO12345678", "12345", "1.70012E+11", ""].forEach((text) => expect(validateField(field("consumerNumber"), text)).not.toBeNull());
+  });
+});
+
+describe("other scanned fields", () => {
+  it("checks mobile numbers and strips the country code", () => {
+    expect(validateField(field("mobileNo"), "+91 98765 43210")).toBeNull();
+    expect(cleanField(field("mobileNo"), "+91 98765 43210")).toBe("9876543210");
+    expect(validateField(field("mobileNo"), "12345")).not.toBeNull();
+    expect(validateField(field("mobileNo"), "")).toBeNull();
+  });
+
+  it("checks amounts, dates and months", () => {
+    expect(validateField(field("billAmount"), "₹1,250.50")).toBeNull();
+    expect(validateField(field("billAmount"), "")).toBe("Required");
+    expect(validateField(field("billAmountAfterDueDate"), "12,5O")).not.toBeNull();
+    expect(validateField(field("billDueDate"), "31-02-2025")).not.toBeNull();
+    expect(validateField(field("billDueDate"), "05-Jan-25")).toBeNull();
+    expect(validateField(field("billMonth"), "JAN-2025")).toBeNull();
+    expect(validateField(field("billMonth"), "JAM-2025")).not.toBeNull();
+  });
+});
+
+describe("correctionChanges", () => {
+  it("keeps the scanned value however often the field is corrected", () => {
+    const first = correctionChanges({ billAmount: "1250" }, "billAmount", "1520", "Asha");
+    expect(first.correctedFields.billAmount).toMatchObject({ original: "1250", by: "Asha" });
+
+    const second = correctionChanges({ billAmount: "1520", ...first }, "billAmount", "1502", "Ravi");
+    expect(second.correctedFields.billAmount).toMatchObject({ original: "1250", by: "Ravi" });
+  });
+
+  it("drops the marker when the scanned value is put back", () => {
+    const corrected = { consumption: 120, correctedFields: { consumption: { original: 120 }, name: { original: "X" } } };
+    expect(correctionChanges(corrected, "consumption", "120", "Asha").correctedFields).toEqual({ name: { original: "X" } });
+  });
+});
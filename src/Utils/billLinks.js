@@ -0,0 +1,4 @@
+// ✅ Deep links to a single bill (/bills/:id), used by the cards, table and pipeline modal
+export const billPath = (id) => `/bills/${encodeURIComponent(id)}`;
+
+export const billUrl = (id) => `${window.location.origin}${billPath(id)}`;
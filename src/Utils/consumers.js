@@ -0,0 +1,53 @@
+import axios from "axios";
+import { parseAmount } from "./money.js";
+import { billMonthKey } from "./dates.js";
+
+// Consumption is read off the bill as text ("123 units", "1,234", "123")
+export const parseUnits = (value) => {
+  const match = String(value ?? "").replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+};
+
+// Newest month first, unreadable months last
+export const sortConsumerBills = (bills) =>
+  bills.map((bill) => ({ ...bill, monthKey: billMonthKey(bill) })).sort((a, b) => (b.monthKey || "").localeCompare(a.monthKey || ""));
+
+// ✅ What one consumer owes across their bills. amountToPay on a bill already carries the arrears of earlier
+// months, so only the latest unpaid bill's figure counts; without one, the unpaid bill amounts are added up.
+// /api/consumers applies the same rule server-side.
+export const consumerOutstanding = (bills) => {
+  const unpaid = sortConsumerBills(bills).filter((b) => b.status !== "success");
+  if (!unpaid.length) return 0;
+  const latest = parseAmount(unpaid[0].amountToPay);
+  return latest ?? unpaid.reduce((sum, b) => sum + (parseAmount(b.billAmount) ?? 0), 0);
+};
+
+// Sort keys /api/consumers understands
+export const CONSUMER_SORTS = {
+  outstanding: "Outstanding: High to Low",
+  bills: "Most bills",
+  name: "Name A → Z",
+  recent: "Latest bill month",
+};
+
+export const CONSUMER_PAGE_SIZE = 50;
+
+// ✅ One page of consumers, grouped by consumerNumber on the server:
+// { items: [{ consumerNumber, billId, name, mobileNo, billingUnit, billCount, outstanding, latestMonth }],
+//   nextCursor, hasMore, total, totalOutstanding }
+// Name / mobile / billing unit come from the newest bill that has them; bills without a consumer number
+// are listed on their own with `billId` set. `search` follows the /api/bills search rules (see buildBillQuery).
+export const fetchConsumers = async ({ search, sort, cursor }) => {
+  const params = { sort, limit: CONSUMER_PAGE_SIZE };
+  if (search?.trim()) params.search = search.trim();
+  if (cursor) params.cursor = cursor;
+  const res = await axios.get("/api/consumers", { params });
+  const payload = res.data || {};
+  return {
+    items: payload.data || [],
+    nextCursor: payload.nextCursor ?? null,
+    hasMore: payload.hasMore ?? Boolean(payload.nextCursor),
+    total: payload.total ?? null,
+    totalOutstanding: parseAmount(payload.totalOutstanding),
+  };
+};
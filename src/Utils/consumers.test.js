@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { consumerOutstanding, parseUnits, sortConsumerBills } from "./consumers.js";
+
+describe("consumerOutstanding", () => {
+  it("counts only the latest unpaid bill's amount to pay, which already carries the arrears", () => {
+    const bills = [
+      { billMonth: "JAN-2025", billAmount: "1000", amountToPay: "1000", status: "pending" },
+      { billMonth: "MAR-2025", billAmount: "900", amountToPay: "2950", status: "pending" },
+      { billMonth: "FEB-2025", billAmount: "1050", amountToPay: "2050", status: "fail" },
+    ];
+    expect(consumerOutstanding(bills)).toBe(2950);
+  });
+
+  it("adds up unpaid bill amounts when the latest amount to pay is missing", () => {
+    const bills = [
+      { billMonth: "JAN-2025", billAmount: "1000", status: "pending" },
+      { billMonth: "FEB-2025", billAmount: "500", status: "success" },
+      { billMonth: "MAR-2025", billAmount: "900", status: "pending" },
+    ];
+    expect(consumerOutstanding(bills)).toBe(1900);
+  });
+
+  it("is zero once everything is paid", () => {
+    expect(consumerOutstanding([{ billMonth: "JAN-2025", amountToPay: "1000", status: "success" }])).toBe(0);
+  });
+});
+
+describe("consumer helpers", () => {
+  it("orders bills newest month first, unreadable months last", () => {
+    const sorted = sortConsumerBills([{ billMonth: "??" }, { billMonth: "JAN-2025" }, { billMonth: "MAR-2025" }]);
+    expect(sorted.map((b) => b.monthKey)).toEqual(["2025-03", "2025-01", null]);
+  });
+
+  it("reads consumption units", () => {
+    expect(parseUnits("1,234 units")).toBe(1234);
+    expect(parseUnits("")).toBeNull();
+  });
+});
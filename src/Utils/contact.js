@@ -0,0 +1,93 @@
+import { formatAmount, displayAmount } from "./money.js";
+import { promptSavings } from "./promptPayment.js";
+
+// ✅ Phone / WhatsApp deep links and the message templates used for reminders.
+// Templates live in localStorage as [{ id, name, body }]; bodies use {{placeholders}} from TEMPLATE_FIELDS.
+
+const TEMPLATES_KEY = "messageTemplates";
+
+// 10-digit Indian mobile → "91XXXXXXXXXX"; anything else is passed through as digits. null when there are none.
+export const phoneDigits = (mobileNo) => {
+  const digits = String(mobileNo ?? "").replace(/\D/g, "");
+  if (!digits) return null;
+  const local = digits.replace(/^(91|0)(?=\d{10}$)/, "");
+  return local.length === 10 ? `91${local}` : digits;
+};
+
+export const telLink = (mobileNo) => {
+  const digits = phoneDigits(mobileNo);
+  return digits ? `tel:+${digits}` : null;
+};
+
+export const whatsappLink = (mobileNo, text = "") => {
+  const digits = phoneDigits(mobileNo);
+  if (!digits) return null;
+  return `https://wa.me/${digits}${text ? `?text=${encodeURIComponent(text)}` : ""}`;
+};
+
+// Placeholder → how to fill it from a bill. Missing values render as "—" so gaps are visible in the preview.
+export const TEMPLATE_FIELDS = [
+  { key: "name", label: "Customer name", value: (bill) => bill.name },
+  { key: "consumerNumber", label: "Consumer no.", value: (bill) => bill.consumerNumber },
+  { key: "billMonth", label: "Bill month", value: (bill) => bill.billMonth },
+  { key: "billAmount", label: "Bill amount", value: (bill) => displayAmount(bill.billAmount) },
+  { key: "billDueDate", label: "Due date", value: (bill) => bill.billDueDate },
+  { key: "amountAfterDueDate", label: "Amount after due date", value: (bill) => displayAmount(bill.billAmountAfterDueDate) },
+  { key: "promptPaymentDate", label: "Prompt payment date", value: (bill) => bill.promptPaymentDate },
+  { key: "amountWithPromptDiscount", label: "Amount with prompt discount", value: (bill) => displayAmount(bill.billAmountWithPromptDiscount) },
+  { key: "promptDiscount", label: "Prompt discount (savings)", value: (bill) => (promptSavings(bill) == null ? null : formatAmount(promptSavings(bill))) },
+];
+
+export const renderTemplate = (body, bill) =>
+  String(body || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => {
+    const field = TEMPLATE_FIELDS.find((f) => f.key === key);
+    if (!field) return placeholder;
+    const value = field.value(bill);
+    return value == null || value === "" ? "—" : String(value);
+  });
+
+export const DEFAULT_TEMPLATES = [
+  {
+    id: "reminder",
+    name: "Payment reminder",
+    body: "Namaskar {{name}}, your electricity bill of {{billAmount}} for consumer no. {{consumerNumber}} ({{billMonth}}) is due on {{billDueDate}}. Please pay on time to avoid a late fee.",
+  },
+  {
+    id: "prompt",
+    name: "Prompt discount",
+    body: "Namaskar {{name}}, pay your bill for consumer no. {{consumerNumber}} by {{promptPaymentDate}} and pay only {{amountWithPromptDiscount}} — you save {{promptDiscount}}.",
+  },
+  {
+    id: "overdue",
+    name: "Overdue",
+    body: "Namaskar {{name}}, your bill of {{billAmount}} for consumer no. {{consumerNumber}} was due on {{billDueDate}}. The amount is now {{amountAfterDueDate}}. Please pay at the earliest.",
+  },
+];
+
+// ---- Template store (shared by every card through useMessageTemplates) ---------------------------
+
+const loadTemplates = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TEMPLATES_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch {
+    // fall through to defaults
+  }
+  return DEFAULT_TEMPLATES;
+};
+
+let templates = loadTemplates();
+const listeners = new Set();
+
+export const getTemplates = () => templates;
+
+export const subscribeTemplates = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const saveTemplates = (next) => {
+  templates = next;
+  localStorage.setItem(TEMPLATES_KEY, JSON.stringify(next));
+  listeners.forEach((listener) => listener(templates));
+};
@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { phoneDigits, renderTemplate, telLink, whatsappLink } from "./contact.js";
+import { formatAmount } from "./money.js";
+
+describe("phoneDigits", () => {
+  it("turns a 10-digit number in any common form into 91 + 10 digits", () => {
+    ["9876543210", "+91 98765 43210", "919876543210", "09876543210"].forEach((mobile) =>
+      expect(phoneDigits(mobile)).toBe("919876543210")
+    );
+    expect(phoneDigits("0141-2745678")).toBe("911412745678");
+  });
+
+  it("passes other numbers through as digits and returns null when there are none", () => {
+    expect(phoneDigits("1912")).toBe("1912");
+    expect(phoneDigits("n/a")).toBeNull();
+    expect(phoneDigits(null)).toBeNull();
+  });
+
+  it("builds call and WhatsApp links from it", () => {
+    expect(telLink("98765 43210")).toBe("tel:+919876543210");
+    expect(whatsappLink("9876543210", "Pay by 5 Jan & save")).toBe("https://wa.me/919876543210?text=Pay%20by%205%20Jan%20%26%20save");
+    expect(whatsappLink("")).toBeNull();
+  });
+});
+
+describe("renderTemplate", () => {
+  const bill = { name: "Ravi", consumerNumber: "170012345678", billAmount: "1250", billAmountWithPromptDiscount: "1225" };
+
+  it("fills known placeholders, tolerating spaces inside the braces", () => {
+    expect(renderTemplate("Hi {{name}}, {{ consumerNumber }}: {{billAmount}}, save {{promptDiscount}}", bill)).toBe(
+      `Hi Ravi, 170012345678: ${formatAmount(1250)}, save ${formatAmount(25)}`
+    );
+  });
+
+  it("shows a dash for missing values and leaves unknown placeholders alone", () => {
+    expect(renderTemplate("Due {{billDueDate}} {{unknown}}", bill)).toBe("Due — {{unknown}}");
+    expect(renderTemplate(null, bill)).toBe("");
+  });
+});
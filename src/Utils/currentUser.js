@@ -0,0 +1,20 @@
+// ✅ Who is using this browser. There are no accounts, so staff pick a display name once;
+// it is sent with every request as X-User-Name so the backend can attribute activity entries.
+const STORAGE_KEY = "crmUserName";
+
+export const USER_HEADER = "X-User-Name";
+
+export const getUserName = () => localStorage.getItem(STORAGE_KEY) || "";
+
+export const setUserName = (name) => {
+  const trimmed = String(name || "").trim();
+  if (trimmed) localStorage.setItem(STORAGE_KEY, trimmed);
+  else localStorage.removeItem(STORAGE_KEY);
+  return trimmed;
+};
+
+// Headers for requests that bypass axios (e.g. the fetch-based photo upload)
+export const userHeaders = () => {
+  const name = getUserName();
+  return name ? { [USER_HEADER]: name } : {};
+};
@@ -0,0 +1,100 @@
+// ✅ Bill dates as the scraper produces them: "05-Jan-25", "05-Jan-2025", "05/01/2025", "2025-01-05" (ISO, with or without time)
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const toFullYear = (year) => (year.length === 2 ? 2000 + Number(year) : Number(year));
+
+// Rejects impossible dates like 31-Feb instead of letting Date roll them over
+const buildDate = (year, month, day) => {
+  const date = new Date(year, month, day);
+  return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+};
+
+// Returns a local-midnight Date, or null when the value is missing or not in a known format
+export const parseBillDate = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  // DD-Mon-YY / DD-Mon-YYYY (also with spaces or slashes)
+  let match = text.match(/^(\d{1,2})[-/ ]([A-Za-z]{3})[A-Za-z]*[-/ ](\d{2}|\d{4})$/);
+  if (match) {
+    const month = MONTHS[match[2].toLowerCase()];
+    return month == null ? null : buildDate(toFullYear(match[3]), month, Number(match[1]));
+  }
+
+  // DD/MM/YYYY, DD-MM-YYYY, DD.MM.YY
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (match) return buildDate(toFullYear(match[3]), Number(match[2]) - 1, Number(match[1]));
+
+  // ISO: YYYY-MM-DD with optional time part
+  match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ].*)?$/);
+  if (match) return buildDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+  return null;
+};
+
+export const isValidBillDate = (value) => parseBillDate(value) !== null;
+
+// Whole calendar days from today; null when the date can't be read
+export const daysUntil = (value, today = new Date()) => {
+  const date = parseBillDate(value);
+  if (!date) return null;
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  return Math.round((date - start) / DAY_MS);
+};
+
+// ✅ One source of truth for due-date chips: { state: "missing" | "invalid" | "overdue" | "today" | "upcoming", days }
+export const getDueStatus = (dueDate, today = new Date()) => {
+  if (dueDate == null || String(dueDate).trim() === "") return { state: "missing", days: null };
+  const days = daysUntil(dueDate, today);
+  if (days === null) return { state: "invalid", days: null };
+  if (days < 0) return { state: "overdue", days: -days };
+  if (days === 0) return { state: "today", days: 0 };
+  return { state: "upcoming", days };
+};
+
+// Ascending comparator; unreadable dates always sort last
+export const compareBillDates = (a, b) => {
+  const da = parseBillDate(a);
+  const db = parseBillDate(b);
+  if (!da && !db) return 0;
+  if (!da) return 1;
+  if (!db) return -1;
+  return da - db;
+};
+
+// ✅ Bill months: "JAN-2025", "Jan 25", "January 2025", "01/2025", "2025-01". Returns the 1st of that month or null.
+export const parseBillMonth = (value) => {
+  if (value == null) return null;
+  const text = String(value).trim();
+
+  let match = text.match(/^([A-Za-z]{3})[A-Za-z]*[-/ ,]+(\d{2}|\d{4})$/);
+  if (match) {
+    const month = MONTHS[match[1].toLowerCase()];
+    return month == null ? null : new Date(toFullYear(match[2]), month, 1);
+  }
+
+  match = text.match(/^(\d{1,2})[-/.](\d{4})$/);
+  if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) return new Date(Number(match[2]), Number(match[1]) - 1, 1);
+
+  match = text.match(/^(\d{4})-(\d{1,2})$/);
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) return new Date(Number(match[1]), Number(match[2]) - 1, 1);
+
+  return null;
+};
+
+// "2025-01" for grouping/sorting by month; falls back to the bill date when billMonth can't be read
+export const billMonthKey = (bill) => {
+  const date = parseBillMonth(bill.billMonth) || parseBillDate(bill.billDate);
+  return date ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}` : null;
+};
+
+// "2025-01" → "Jan 2025"
+export const formatMonthKey = (key) => {
+  if (!key) return "Unknown month";
+  const [year, month] = key.split("-").map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString("en-IN", { month: "short", year: "numeric" });
+};
@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { billMonthKey, compareBillDates, daysUntil, getDueStatus, parseBillDate, parseBillMonth } from "./dates.js";
+
+const ymd = (date) => date && [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe("parseBillDate", () => {
+  it("reads every format the scraper produces", () => {
+    expect(ymd(parseBillDate("05-Jan-25"))).toEqual([2025, 1, 5]);
+    expect(ymd(parseBillDate("05-January-2025"))).toEqual([2025, 1, 5]);
+    expect(ymd(parseBillDate("05/01/2025"))).toEqual([2025, 1, 5]);
+    expect(ymd(parseBillDate("5.1.25"))).toEqual([2025, 1, 5]);
+    expect(ymd(parseBillDate("2025-01-05T10:00:00Z"))).toEqual([2025, 1, 5]);
+  });
+
+  it("rejects impossible and unknown dates", () => {
+    ["31-Feb-2025", "2025-13-01", "05-Foo-2025", "tomorrow", "", null].forEach((value) => expect(parseBillDate(value)).toBeNull());
+  });
+
+  it("sorts unreadable dates last", () => {
+    expect(["junk", "05-01-2025", "01-01-2025"].sort(compareBillDates)).toEqual(["01-01-2025", "05-01-2025", "junk"]);
+  });
+});
+
+describe("due dates", () => {
+  const today = new Date(2025, 0, 10);
+
+  it("counts whole days from today", () => {
+    expect(daysUntil("15-01-2025", today)).toBe(5);
+    expect(daysUntil("05-01-2025", today)).toBe(-5);
+  });
+
+  it("flags overdue bills", () => {
+    expect(getDueStatus("05-01-2025", today)).toMatchObject({ state: "overdue", days: 5 });
+  });
+});
+
+describe("parseBillMonth", () => {
+  it("reads month labels in any of the stored shapes", () => {
+    ["JAN-2025", "Jan 25", "January 2025", "01/2025", "2025-01"].forEach((value) => {
+      expect(ymd(parseBillMonth(value))).toEqual([2025, 1, 1]);
+    });
+  });
+
+  it("rejects anything that isn't a month", () => {
+    ["13/2025", "2025-00", "Foo-2025", "", null].forEach((value) => expect(parseBillMonth(value)).toBeNull());
+  });
+
+  it("groups by month, falling back to the bill date", () => {
+    expect(billMonthKey({ billMonth: "MAR-2025" })).toBe("2025-03");
+    expect(billMonthKey({ billMonth: "??", billDate: "05-04-2025" })).toBe("2025-04");
+    expect(billMonthKey({})).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+import { BILL_COLUMNS } from "./billColumns.js";
+import { parseAmount } from "./money.js";
+import { notesToText } from "./notes.js";
+
+const pickColumns = (keys) => BILL_COLUMNS.filter((c) => keys.includes(c.key));
+
+// Amount columns are written as plain numbers so spreadsheets can sum them
+const cellValue = (bill, column) => {
+  if (column.key === "note") return notesToText(bill);
+  const value = bill[column.key];
+  if (column.type === "amount") return parseAmount(value) ?? "";
+  return value == null ? "" : String(value);
+};
+
+// Text starting with = + - @ (or a tab / CR) would run as a formula in Excel, so it gets a leading '.
+// Real numbers (amount columns) are left alone so negative credits stay numeric.
+const escapeCsv = (value) => {
+  if (typeof value === "number") return String(value);
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: arrays of cell values, header row included
+export const rowsToCsv = (rows) => rows.map((row) => row.map(escapeCsv).join(",")).join("\r\n");
+
+export const billsToCsv = (bills, keys) => {
+  const columns = pickColumns(keys);
+  return rowsToCsv([columns.map((c) => c.label), ...bills.map((bill) => columns.map((c) => cellValue(bill, c)))]);
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const exportFileName = (ext) => `bills_${new Date().toISOString().slice(0, 10)}.${ext}`;
+
+// ✅ BOM so Excel opens the file as UTF-8 (₹ and non-Latin names)
+export const downloadCsv = (csv, filename) => {
+  downloadBlob(new Blob(["\uFEFF" + csv], { type: "text/csv;charset=utf-8" }), filename);
+};
+
+export const downloadBillsCsv = (bills, keys, filename = exportFileName("csv")) => downloadCsv(billsToCsv(bills, keys), filename);
+
+// Keep the numbers numeric but show them as rupees inside Excel (row 0 is the header)
+const formatAmountCells = (XLSX, sheet, columns, rowCount) => {
+  columns.forEach((c, col) => {
+    if (c.type !== "amount") return;
+    for (let row = 1; row <= rowCount; row++) {
+      const cell = sheet[XLSX.utils.encode_cell({ r: row, c: col })];
+      if (cell?.t === "n") cell.z = '"₹"#,##0.00';
+    }
+  });
+};
+
+// xlsx is large, so it's only pulled in when someone actually exports a spreadsheet
+export const downloadBillsXlsx = async (bills, keys, filename = exportFileName("xlsx")) => {
+  const XLSX = await import("xlsx");
+  const columns = pickColumns(keys);
+  const rows = bills.map((bill) => columns.map((c) => cellValue(bill, c)));
+  const sheet = XLSX.utils.aoa_to_sheet([columns.map((c) => c.label), ...rows]);
+  sheet["!cols"] = columns.map((c) => ({ wch: Math.max(c.label.length, 14) }));
+
+  formatAmountCells(XLSX, sheet, columns, rows.length);
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, "Bills");
+  XLSX.writeFile(workbook, filename);
+};
+
+// ✅ Multi-sheet workbook for reports: sheets = [{ name, columns: [{ label, type? }], rows: [[...]] }]
+export const downloadReportXlsx = async (sheets, filename) => {
+  const XLSX = await import("xlsx");
+  const workbook = XLSX.utils.book_new();
+
+  sheets.forEach(({ name, columns, rows }) => {
+    const sheet = XLSX.utils.aoa_to_sheet([columns.map((c) => c.label), ...rows]);
+    sheet["!cols"] = columns.map((c) => ({ wch: Math.max(c.label.length, 14) }));
+    formatAmountCells(XLSX, sheet, columns, rows.length);
+    XLSX.utils.book_append_sheet(workbook, sheet, name);
+  });
+
+  XLSX.writeFile(workbook, filename);
+};
@@ -0,0 +1,23 @@
+import { describe, expect, it } from "vitest";
+import { billsToCsv, rowsToCsv } from "./exportBills.js";
+
+describe("rowsToCsv", () => {
+  it("quotes commas, quotes and newlines", () => {
+    expect(rowsToCsv([["a,b", 'say "hi"', "two\nlines"]])).toBe('"a,b","say ""hi""","two\nlines"');
+  });
+
+  it("neutralises text that Excel would run as a formula", () => {
+    expect(rowsToCsv([["=HYPERLINK(\"http://x\")", "+91 98765", "-2+3", "@SUM(A1)", "\tx", "Ramesh"]])).toBe(
+      "\"'=HYPERLINK(\"\"http://x\"\")\",'+91 98765,'-2+3,'@SUM(A1),'\tx,Ramesh"
+    );
+  });
+
+  it("leaves numbers alone, negative ones included", () => {
+    expect(rowsToCsv([[-20, 1250.5, 0, null]])).toBe("-20,1250.5,0,");
+  });
+
+  it("covers bill exports", () => {
+    const csv = billsToCsv([{ name: "=cmd|' /C calc'!A0", billAmount: "-₹20" }], ["name", "billAmount"]);
+    expect(csv.split("\r\n")[1]).toBe("'=cmd|' /C calc'!A0,-20");
+  });
+});
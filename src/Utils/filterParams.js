@@ -0,0 +1,48 @@
+import { parseSort, serializeSort } from "./sortBills.js";
+
+// ✅ BillPage filter state <-> query string, e.g. ?status=pending&min=5000&mobile=1&overdue=1&prompt=7&sort=daysOverdue:desc
+
+export const filtersFromQuery = (query) => {
+  const params = new URLSearchParams(query);
+  return {
+    search: params.get("q") || "",
+    statusFilter: params.get("status") || "",
+    minAmount: params.get("min") || "",
+    maxAmount: params.get("max") || "",
+    showWithMobile: params.get("mobile") === "1",
+    showWithBill: params.get("bill") === "1",
+    overdueOnly: params.get("overdue") === "1",
+    // Days ahead to look for closing prompt-payment windows; "" = filter off
+    promptWithin: /^\d+$/.test(params.get("prompt") || "") ? params.get("prompt") : "",
+    sortBy: parseSort(params.get("sort")),
+  };
+};
+
+// Only non-default values are written so shared links stay short
+export const filtersToQuery = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.search) params.set("q", filters.search);
+  if (filters.statusFilter) params.set("status", filters.statusFilter);
+  if (filters.minAmount) params.set("min", filters.minAmount);
+  if (filters.maxAmount) params.set("max", filters.maxAmount);
+  if (filters.showWithMobile) params.set("mobile", "1");
+  if (filters.showWithBill) params.set("bill", "1");
+  if (filters.overdueOnly) params.set("overdue", "1");
+  if (filters.promptWithin) params.set("prompt", filters.promptWithin);
+  if (filters.sortBy?.length) params.set("sort", serializeSort(filters.sortBy));
+  return params.toString();
+};
+
+// ✅ Named presets live in localStorage as { id, name, query }
+const PRESETS_KEY = "billFilterPresets";
+
+export const loadPresets = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRESETS_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+export const savePresets = (presets) => localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
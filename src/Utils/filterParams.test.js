@@ -0,0 +1,53 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { filtersFromQuery, filtersToQuery, loadPresets, savePresets } from "./filterParams.js";
+
+describe("filter query string", () => {
+  it("round-trips every filter", () => {
+    const query = "q=ravi&status=pending&min=5000&max=20000&mobile=1&bill=1&overdue=1&prompt=7&sort=billDueDate%3Aasc%2Cname%3Adesc";
+    const filters = filtersFromQuery(query);
+    expect(filters).toEqual({
+      search: "ravi",
+      statusFilter: "pending",
+      minAmount: "5000",
+      maxAmount: "20000",
+      showWithMobile: true,
+      showWithBill: true,
+      overdueOnly: true,
+      promptWithin: "7",
+      sortBy: [{ key: "billDueDate", dir: "asc" }, { key: "name", dir: "desc" }],
+    });
+    expect(filtersToQuery(filters)).toBe(query);
+  });
+
+  it("leaves defaults out and ignores values it can't use", () => {
+    const filters = filtersFromQuery("?mobile=yes&prompt=soon&sort=bogus:asc");
+    expect(filters).toMatchObject({ showWithMobile: false, promptWithin: "", sortBy: [] });
+    expect(filtersToQuery(filters)).toBe("");
+  });
+});
+
+describe("filter presets", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  const stubStorage = (initial) => {
+    const store = { billFilterPresets: initial };
+    vi.stubGlobal("localStorage", {
+      getItem: (key) => store[key] ?? null,
+      setItem: (key, value) => (store[key] = value),
+    });
+  };
+
+  it("saves and loads presets", () => {
+    stubStorage();
+    const presets = [{ id: "1", name: "Overdue", query: "overdue=1" }];
+    savePresets(presets);
+    expect(loadPresets()).toEqual(presets);
+  });
+
+  it("treats missing or corrupt storage as no presets", () => {
+    stubStorage();
+    expect(loadPresets()).toEqual([]);
+    stubStorage("{not json");
+    expect(loadPresets()).toEqual([]);
+  });
+});
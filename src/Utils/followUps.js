@@ -0,0 +1,64 @@
+// ✅ Follow-up ("next action") dates. Stored on the bill as `followUpAt`, an ISO timestamp, or null when none is set.
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseFollowUp = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// { state: "none" | "overdue" | "today" | "upcoming", date }. "today" covers the rest of today only;
+// an earlier time today has already passed and counts as overdue.
+export const getFollowUpStatus = (value, now = new Date()) => {
+  const date = parseFollowUp(value);
+  if (!date) return { state: "none", date: null };
+  if (date < now) return { state: "overdue", date };
+  if (date < new Date(startOfDay(now).getTime() + DAY_MS)) return { state: "today", date };
+  return { state: "upcoming", date };
+};
+
+// "Today 3:00 pm", "Tomorrow 10:00 am", "Mon, 20 Jan 10:00 am"
+export const formatFollowUp = (value, now = new Date()) => {
+  const date = parseFollowUp(value);
+  if (!date) return "";
+  const time = date.toLocaleTimeString("en-IN", { hour: "numeric", minute: "2-digit" });
+  const dayDiff = Math.round((startOfDay(date) - startOfDay(now)) / DAY_MS);
+  if (dayDiff === 0) return `Today ${time}`;
+  if (dayDiff === 1) return `Tomorrow ${time}`;
+  if (dayDiff === -1) return `Yesterday ${time}`;
+  return `${date.toLocaleDateString("en-IN", { weekday: "short", day: "numeric", month: "short" })} ${time}`;
+};
+
+// <input type="datetime-local"> works in local time without a zone: "2025-01-20T10:00"
+export const toDateTimeInput = (value) => {
+  const date = parseFollowUp(value);
+  if (!date) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export const fromDateTimeInput = (text) => (text ? new Date(text).toISOString() : null);
+
+// One-click choices next to the picker; `at(now)` gives the ISO timestamp to store
+const atHour = (now, daysAhead, hour) => new Date(now.getFullYear(), now.getMonth(), now.getDate() + daysAhead, hour).toISOString();
+
+export const FOLLOW_UP_SHORTCUTS = [
+  { label: "In 2 hours", at: (now = new Date()) => new Date(now.getTime() + 2 * 60 * 60 * 1000).toISOString() },
+  { label: "Tomorrow 10 am", at: (now = new Date()) => atHour(now, 1, 10) },
+  { label: "In 3 days", at: (now = new Date()) => atHour(now, 3, 10) },
+  { label: "Next week", at: (now = new Date()) => atHour(now, 7, 10) },
+];
+
+// ✅ Agenda buckets, each soonest first. Paid bills are left out: there is nothing left to follow up.
+export const groupAgenda = (bills, now = new Date()) => {
+  const groups = { overdue: [], today: [], upcoming: [] };
+  bills.forEach((bill) => {
+    if (bill.status === "success") return;
+    const { state, date } = getFollowUpStatus(bill.followUpAt, now);
+    if (state !== "none") groups[state].push({ bill, date });
+  });
+  Object.values(groups).forEach((list) => list.sort((a, b) => a.date - b.date));
+  return groups;
+};
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { fromDateTimeInput, getFollowUpStatus, groupAgenda, toDateTimeInput } from "./followUps.js";
+
+const now = new Date(2025, 0, 10, 12, 0);
+const at = (day, hour) => new Date(2025, 0, day, hour).toISOString();
+
+describe("getFollowUpStatus", () => {
+  it("splits follow-ups into overdue, the rest of today and later", () => {
+    expect(getFollowUpStatus(at(9, 10), now).state).toBe("overdue");
+    expect(getFollowUpStatus(at(10, 9), now).state).toBe("overdue");
+    expect(getFollowUpStatus(at(10, 18), now).state).toBe("today");
+    expect(getFollowUpStatus(at(11, 0), now).state).toBe("upcoming");
+  });
+
+  it("is none without a readable date", () => {
+    expect(getFollowUpStatus(null, now)).toEqual({ state: "none", date: null });
+    expect(getFollowUpStatus("someday", now)).toEqual({ state: "none", date: null });
+  });
+});
+
+describe("groupAgenda", () => {
+  it("buckets open bills soonest first and leaves out paid ones and bills without a follow-up", () => {
+    const bills = [
+      { _id: "late", followUpAt: at(10, 20) },
+      { _id: "paid", followUpAt: at(8, 10), status: "success" },
+      { _id: "old", followUpAt: at(5, 10) },
+      { _id: "none", followUpAt: null },
+      { _id: "early", followUpAt: at(10, 15) },
+      { _id: "week", followUpAt: at(17, 10) },
+    ];
+    const agenda = groupAgenda(bills, now);
+    const ids = (list) => list.map((item) => item.bill._id);
+    expect(ids(agenda.overdue)).toEqual(["old"]);
+    expect(ids(agenda.today)).toEqual(["early", "late"]);
+    expect(ids(agenda.upcoming)).toEqual(["week"]);
+  });
+});
+
+describe("datetime-local input", () => {
+  it("round-trips in local time", () => {
+    expect(toDateTimeInput(at(20, 10))).toBe("2025-01-20T10:00");
+    expect(fromDateTimeInput("2025-01-20T10:00")).toBe(at(20, 10));
+    expect(fromDateTimeInput("")).toBeNull();
+  });
+});
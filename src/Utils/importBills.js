@@ -0,0 +1,144 @@
+import axios from "axios";
+import { BILL_COLUMNS } from "./billColumns.js";
+import { parseAmount } from "./money.js";
+import { isValidBillDate } from "./dates.js";
+import { cleanConsumerNumber, isValidConsumerNumber } from "./billFields.js";
+import { newBatchId } from "./activity.js";
+
+export const IMPORT_BATCH_SIZE = 100;
+export const REQUIRED_FIELDS = ["name", "consumerNumber", "billMonth"];
+
+const STATUSES = ["pending", "inprocess", "success", "fail"];
+const PRIORITIES = ["p1", "p2", "p3", "none"];
+const AMOUNT_FIELDS = BILL_COLUMNS.filter((c) => c.type === "amount").map((c) => c.key);
+const DATE_FIELDS = BILL_COLUMNS.filter((c) => c.type === "date").map((c) => c.key);
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// ✅ Read the first sheet of a CSV/XLSX file into a header row + data rows (all cells as text)
+export const parseSpreadsheet = async (file) => {
+  const XLSX = await import("xlsx");
+  // CSV is decoded as UTF-8 text first (₹, non-Latin names); raw keeps leading zeros in consumer numbers
+  const isCsv = /\.csv$/i.test(file.name) || file.type === "text/csv";
+  const workbook = isCsv
+    ? XLSX.read(await file.text(), { type: "string", raw: true })
+    : XLSX.read(await file.arrayBuffer(), { type: "array", cellNF: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return { headers: [], rows: [] };
+
+  // Numeric cells would come back in their display format ("1.70012E+11" for a 12-digit consumer number):
+  // use the plain number instead, and write dates out as DD-MM-YYYY whatever the cell's own format
+  Object.keys(sheet).forEach((address) => {
+    const cell = sheet[address];
+    if (address[0] === "!" || cell.t !== "n") return;
+    cell.w = cell.z && XLSX.SSF.is_date(cell.z) ? XLSX.SSF.format("dd-mm-yyyy", cell.v) : String(cell.v);
+  });
+
+  const [headerRow = [], ...rows] = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "", blankrows: false });
+  return { headers: headerRow.map((h) => String(h).trim()), rows };
+};
+
+// ✅ Match spreadsheet headers to bill fields by key or card label ("Consumer No." → consumerNumber)
+export const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(
+    BILL_COLUMNS.map((col) => [
+      col.key,
+      normalized.findIndex((h) => h === normalizeHeader(col.key) || h === normalizeHeader(col.label)),
+    ])
+  );
+};
+
+const buildBill = (row, mapping) => {
+  const bill = {};
+  Object.entries(mapping).forEach(([key, index]) => {
+    if (index < 0) return;
+    const value = String(row[index] ?? "").trim();
+    if (value) bill[key] = value;
+  });
+  if (bill.consumerNumber) bill.consumerNumber = cleanConsumerNumber(bill.consumerNumber);
+  if (bill.status) bill.status = bill.status.toLowerCase().replace(/\s+/g, "");
+  if (bill.priority) bill.priority = bill.priority.toLowerCase();
+  return bill;
+};
+
+const validateBill = (bill) => {
+  const errors = [];
+  REQUIRED_FIELDS.forEach((key) => {
+    if (!bill[key]) errors.push(`${BILL_COLUMNS.find((c) => c.key === key).label} is required`);
+  });
+  if (bill.consumerNumber && !isValidConsumerNumber(bill.consumerNumber)) errors.push("Consumer No. must be 9 to 15 digits");
+  if (bill.mobileNo && !/^(\+?91)?\d{10}$/.test(bill.mobileNo.replace(/[\s-]/g, ""))) errors.push("Mobile must be a 10-digit number");
+  AMOUNT_FIELDS.forEach((key) => {
+    if (bill[key] && parseAmount(bill[key]) == null) {
+      errors.push(`${BILL_COLUMNS.find((c) => c.key === key).label} is not a valid amount`);
+    }
+  });
+  DATE_FIELDS.forEach((key) => {
+    if (bill[key] && !isValidBillDate(bill[key])) {
+      errors.push(`${BILL_COLUMNS.find((c) => c.key === key).label} is not a recognised date`);
+    }
+  });
+  if (bill.status && !STATUSES.includes(bill.status)) errors.push(`Status must be one of ${STATUSES.join(", ")}`);
+  if (bill.priority && !PRIORITIES.includes(bill.priority)) errors.push(`Priority must be one of ${PRIORITIES.join(", ")}`);
+  return errors;
+};
+
+export const duplicateKey = (bill) => `${bill.consumerNumber}|${String(bill.billMonth || "").toLowerCase()}`;
+
+// ✅ Build one preview row per data row: mapped bill, validation errors and in-file duplicates
+export const prepareImportRows = (rows, mapping) => {
+  const firstSeen = {};
+  return rows.map((row, i) => {
+    const bill = buildBill(row, mapping);
+    const key = duplicateKey(bill);
+    // +2: spreadsheet rows are 1-based and row 1 is the header
+    const rowNumber = i + 2;
+    const duplicateOfRow = firstSeen[key];
+    if (duplicateOfRow == null) firstSeen[key] = rowNumber;
+
+    return { rowNumber, bill, errors: validateBill(bill), duplicateOfRow: duplicateOfRow ?? null, existsInDb: false };
+  });
+};
+
+// ✅ Ask the backend which consumerNumber + billMonth pairs are already stored
+export const findExistingBills = async (bills) => {
+  const existing = new Set();
+  for (let i = 0; i < bills.length; i += IMPORT_BATCH_SIZE) {
+    const keys = bills
+      .slice(i, i + IMPORT_BATCH_SIZE)
+      .map(({ consumerNumber, billMonth }) => ({ consumerNumber, billMonth }));
+    const res = await axios.post("/api/bills/import/check", { keys });
+    (res.data?.data?.duplicates || res.data?.duplicates || []).forEach((d) => existing.add(duplicateKey(d)));
+  }
+  return existing;
+};
+
+// ✅ Submit rows in batches. Resolves to one { rowNumber, ok, error } entry per submitted row.
+// Every chunk carries the same batchId so the activity log can trace bills back to this import.
+export const submitImport = async (rows, onProgress) => {
+  const report = [];
+  const batchId = newBatchId("import");
+
+  for (let i = 0; i < rows.length; i += IMPORT_BATCH_SIZE) {
+    const chunk = rows.slice(i, i + IMPORT_BATCH_SIZE);
+
+    try {
+      const res = await axios.post("/api/bills/import", { bills: chunk.map((r) => r.bill), batchId });
+      const failed = res.data?.data?.failed || res.data?.failed || [];
+      // Backend reports failures by index within the batch it received
+      const errorsByIndex = Object.fromEntries(failed.map((f) => [f.index, f.error || f.reason || "Rejected by server"]));
+      chunk.forEach((row, idx) => {
+        report.push({ rowNumber: row.rowNumber, ok: !(idx in errorsByIndex), error: errorsByIndex[idx] || null });
+      });
+    } catch (err) {
+      console.error("❌ Import batch failed:", err);
+      const reason = err.response?.data?.message || "Network Error";
+      chunk.forEach((row) => report.push({ rowNumber: row.rowNumber, ok: false, error: reason }));
+    }
+
+    onProgress?.({ current: Math.min(i + IMPORT_BATCH_SIZE, rows.length), total: rows.length });
+  }
+
+  return report;
+};
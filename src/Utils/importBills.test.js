@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import * as XLSX from "xlsx";
+import { guessMapping, parseSpreadsheet, prepareImportRows } from "./importBills.js";
+
+const headers = ["Customer Name", "Consumer No.", "Bill Month", "Mobile", "Bill Amount", "Due Date"];
+const mapping = guessMapping(headers);
+
+describe("prepareImportRows", () => {
+  it("maps headers by key or card label", () => {
+    expect(mapping).toMatchObject({ name: 0, consumerNumber: 1, billMonth: 2, mobileNo: 3, billAmount: 4, billDueDate: 5, status: -1 });
+  });
+
+  it("accepts a well-formed row", () => {
+    const [row] = prepareImportRows([["Ramesh", "170012345678", "JAN-2025", "9876543210", "₹1,250", "20-01-2025"]], mapping);
+    expect(row).toMatchObject({ rowNumber: 2, errors: [], duplicateOfRow: null });
+    expect(row.bill.consumerNumber).toBe("170012345678");
+  });
+
+  it("checks consumer numbers like the bill card's field correction does", () => {
+    const [spaced, short] = prepareImportRows([["A", "1700 1234 5678", "JAN-2025"], ["B", "12345", "JAN-2025"]], mapping);
+    expect(spaced.errors).toEqual([]);
+    expect(spaced.bill.consumerNumber).toBe("170012345678");
+    expect(short.errors).toEqual(["Consumer No. must be 9 to 15 digits"]);
+  });
+
+  it("reports every problem in a row", () => {
+    const [row] = prepareImportRows([["", "1.70012E+11", "JAN-2025", "12345", "lots", "31-02-2025"]], mapping);
+    expect(row.errors).toEqual([
+      "Customer Name is required",
+      "Consumer No. must be 9 to 15 digits",
+      "Mobile must be a 10-digit number",
+      "Bill Amount is not a valid amount",
+      "Due Date is not a recognised date",
+    ]);
+  });
+
+  it("flags repeats of the same consumer and month within the file", () => {
+    const rows = prepareImportRows(
+      [
+        ["A", "111111111", "JAN-2025"],
+        ["A", "111111111", "jan-2025"],
+      ],
+      mapping
+    );
+    expect(rows[1].duplicateOfRow).toBe(2);
+  });
+});
+
+describe("parseSpreadsheet", () => {
+  // Built the way the utility office's files arrive: IDs and amounts stored as numbers, dates as date cells
+  const xlsxFixture = () => {
+    const sheet = XLSX.utils.aoa_to_sheet([
+      ["Customer Name", "Consumer No.", "Bill Month", "Bill Amount", "Due Date"],
+      ["Ramesh", 170012345678, "JAN-2025", 1250.5, new Date(Date.UTC(2025, 0, 20))],
+    ]);
+    sheet.B2.z = "0.00E+00";
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, "Bills");
+    return new File([XLSX.write(workbook, { type: "array", bookType: "xlsx" })], "bills.xlsx");
+  };
+
+  it("keeps long numeric consumer numbers intact", async () => {
+    const { headers, rows } = await parseSpreadsheet(xlsxFixture());
+    expect(headers).toEqual(["Customer Name", "Consumer No.", "Bill Month", "Bill Amount", "Due Date"]);
+    expect(rows[0]).toEqual(["Ramesh", "170012345678", "JAN-2025", "1250.5", "20-01-2025"]);
+
+    const [row] = prepareImportRows(rows, guessMapping(headers));
+    expect(row.errors).toEqual([]);
+  });
+
+  it("reads CSV cells as text, keeping leading zeros", async () => {
+    const file = new File(["Customer Name,Consumer No.,Bill Month\nAsha,0012345678,FEB-2025\n"], "bills.csv", { type: "text/csv" });
+    const { rows } = await parseSpreadsheet(file);
+    expect(rows[0]).toEqual(["Asha", "0012345678", "FEB-2025"]);
+  });
+});
@@ -0,0 +1,52 @@
+import { parseAmount } from "./money.js";
+import { billMonthKey, getDueStatus } from "./dates.js";
+
+// Late fee the bill carries once past due: billAmountAfterDueDate − billAmount. null when either can't be read.
+export const lateFee = (bill) => {
+  const before = parseAmount(bill.billAmount);
+  const after = parseAmount(bill.billAmountAfterDueDate);
+  if (before == null || after == null) return null;
+  return Math.max(0, after - before);
+};
+
+// ✅ { overdue, days, penalty } — only unpaid bills past their due date have incurred anything
+export const getLateFeeStatus = (bill, today = new Date()) => {
+  const due = getDueStatus(bill.billDueDate, today);
+  if (bill.status === "success" || due.state !== "overdue") return { overdue: false, days: null, penalty: null };
+  return { overdue: true, days: due.days, penalty: lateFee(bill) };
+};
+
+const addTo = (map, key, penalty) => {
+  const entry = map.get(key) || { key, count: 0, penalty: 0, unknown: 0 };
+  entry.count += 1;
+  if (penalty == null) entry.unknown += 1;
+  else entry.penalty += penalty;
+  map.set(key, entry);
+};
+
+// ✅ Late-fee exposure over a set of bills:
+// { total, count, unknown, bills: [{ bill, days, penalty }], byUnit: [...], byMonth: [...] }
+// `unknown` counts overdue bills whose penalty couldn't be worked out (missing / unreadable amounts).
+export const lateFeeReport = (bills, today = new Date()) => {
+  const byUnit = new Map();
+  const byMonth = new Map();
+  const overdue = [];
+
+  bills.forEach((bill) => {
+    const { overdue: isOverdue, days, penalty } = getLateFeeStatus(bill, today);
+    if (!isOverdue) return;
+    overdue.push({ bill, days, penalty });
+    addTo(byUnit, bill.billingUnit ? String(bill.billingUnit).trim() : "Unknown", penalty);
+    addTo(byMonth, billMonthKey(bill) || "", penalty);
+  });
+
+  return {
+    total: overdue.reduce((sum, o) => sum + (o.penalty || 0), 0),
+    count: overdue.length,
+    unknown: overdue.filter((o) => o.penalty == null).length,
+    bills: overdue.sort((a, b) => (b.penalty ?? -1) - (a.penalty ?? -1)),
+    byUnit: [...byUnit.values()].sort((a, b) => b.penalty - a.penalty),
+    // Newest month first, bills without a readable month last
+    byMonth: [...byMonth.values()].sort((a, b) => b.key.localeCompare(a.key)),
+  };
+};
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { getLateFeeStatus, lateFee, lateFeeReport } from "./lateFees.js";
+
+const today = new Date(2025, 0, 20);
+
+describe("late fees", () => {
+  it("is the difference between the after-due and the bill amount", () => {
+    expect(lateFee({ billAmount: "₹1,000", billAmountAfterDueDate: "₹1,020" })).toBe(20);
+    expect(lateFee({ billAmount: "₹1,000", billAmountAfterDueDate: "" })).toBeNull();
+  });
+
+  it("only applies to unpaid bills past their due date", () => {
+    const bill = { billAmount: "1000", billAmountAfterDueDate: "1020", billDueDate: "10-01-2025" };
+    expect(getLateFeeStatus(bill, today)).toEqual({ overdue: true, days: 10, penalty: 20 });
+    expect(getLateFeeStatus({ ...bill, status: "success" }, today).overdue).toBe(false);
+    expect(getLateFeeStatus({ ...bill, billDueDate: "25-01-2025" }, today).overdue).toBe(false);
+  });
+
+  it("totals the report and counts unknown penalties", () => {
+    const report = lateFeeReport(
+      [
+        { billAmount: "1000", billAmountAfterDueDate: "1020", billDueDate: "10-01-2025", billingUnit: "A", billMonth: "DEC-2024" },
+        { billAmount: "500", billAmountAfterDueDate: "", billDueDate: "15-01-2025", billingUnit: "A", billMonth: "DEC-2024" },
+      ],
+      today
+    );
+    expect(report).toMatchObject({ total: 20, count: 2, unknown: 1 });
+    expect(report.byUnit).toEqual([{ key: "A", count: 2, penalty: 20, unknown: 1 }]);
+  });
+});
@@ -0,0 +1,51 @@
+// ✅ Rupee amounts as the scraper / spreadsheets give them: "₹1,234.50", "Rs. 500", "-₹20", "₹120 CR", "(75.00)"
+
+const EMPTY_VALUES = ["", "-", "--", "na", "n/a", "nil", "null", "undefined"];
+
+const isEmpty = (value) => value == null || EMPTY_VALUES.includes(String(value).trim().toLowerCase());
+
+const wholeFormatter = new Intl.NumberFormat("en-IN", { style: "currency", currency: "INR", maximumFractionDigits: 0 });
+const paiseFormatter = new Intl.NumberFormat("en-IN", { style: "currency", currency: "INR", minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Returns a number, or null when the value is missing or not an amount at all
+export const parseAmount = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (isEmpty(value)) return null;
+
+  let text = String(value).trim().toLowerCase();
+
+  let negative = false;
+  // Accounting style "(75.00)" and credit suffixes "120 CR" / "120 Cr." both mean money owed to the consumer
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/\s*cr\.?$/.test(text)) {
+    negative = true;
+    text = text.replace(/\s*cr\.?$/, "");
+  }
+  text = text.replace(/₹|rs\.?|inr|,|\s/g, "");
+  if (text.startsWith("-")) {
+    negative = !negative;
+    text = text.slice(1);
+  }
+
+  if (!/^\d+(\.\d+)?$|^\.\d+$/.test(text)) return null;
+  const amount = parseFloat(text);
+  return negative ? -amount : amount;
+};
+
+// Indian digit grouping: 123456.5 → "₹1,23,456.50", 500 → "₹500"
+export const formatAmount = (amount) => {
+  if (amount == null) return "—";
+  return Number.isInteger(amount) ? wholeFormatter.format(amount) : paiseFormatter.format(amount);
+};
+
+// For rendering a raw bill field: normalised when parseable, untouched otherwise
+export const displayAmount = (value) => {
+  const amount = parseAmount(value);
+  if (amount != null) return formatAmount(amount);
+  return isEmpty(value) ? "—" : String(value);
+};
+
+export const sumAmounts = (values) => values.reduce((sum, value) => sum + (parseAmount(value) ?? 0), 0);
@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { displayAmount, formatAmount, parseAmount, sumAmounts } from "./money.js";
+
+describe("parseAmount", () => {
+  it("reads the formats the scraper and spreadsheets produce", () => {
+    expect(parseAmount("₹1,234.50")).toBe(1234.5);
+    expect(parseAmount("Rs. 500")).toBe(500);
+    expect(parseAmount("INR 1,00,000")).toBe(100000);
+    expect(parseAmount(".5")).toBe(0.5);
+    expect(parseAmount(250)).toBe(250);
+  });
+
+  it("treats credits as negative", () => {
+    expect(parseAmount("-₹20")).toBe(-20);
+    expect(parseAmount("₹120 CR")).toBe(-120);
+    expect(parseAmount("(75.00)")).toBe(-75);
+  });
+
+  it("returns null for empty or non-amount values", () => {
+    [null, undefined, "", "-", "N/A", "nil", "12ab", "1.2.3", NaN].forEach((value) => expect(parseAmount(value)).toBeNull());
+  });
+});
+
+describe("formatAmount / displayAmount", () => {
+  it("uses Indian digit grouping", () => {
+    expect(formatAmount(123456.5)).toBe("₹1,23,456.50");
+    expect(formatAmount(500)).toBe("₹500");
+    expect(formatAmount(null)).toBe("—");
+  });
+
+  it("leaves unreadable raw values untouched", () => {
+    expect(displayAmount("1250")).toBe("₹1,250");
+    expect(displayAmount("see bill")).toBe("see bill");
+    expect(displayAmount("")).toBe("—");
+  });
+
+  it("sums readable amounts only", () => {
+    expect(sumAmounts(["₹100", "50.5", "junk", null])).toBe(150.5);
+  });
+});
@@ -0,0 +1,78 @@
+import Swal from "sweetalert2";
+
+// ✅ One way to change data from any page:
+//    1. apply()    — update local state straight away (optional)
+//    2. request()  — call the API; its result goes to onSuccess(result)
+//    3. on failure — rollback(), then an error toast with a Retry button that runs all three again
+// Resolves to true if the change (or a retry of it) reached the server.
+export const runMutation = async ({ label, apply, rollback, request, onSuccess }) => {
+  apply?.();
+  try {
+    const result = await request();
+    onSuccess?.(result);
+    return true;
+  } catch (err) {
+    console.error(`❌ ${label} failed:`, err);
+    rollback?.();
+
+    const { isConfirmed } = await Swal.fire({
+      icon: "error",
+      title: `${label} failed`,
+      text: err.response?.data?.message || (err.response ? "The server rejected the change." : "Network error. Check your connection."),
+      toast: true,
+      position: "top-end",
+      timer: 8000,
+      timerProgressBar: true,
+      showConfirmButton: true,
+      confirmButtonText: "Retry",
+      confirmButtonColor: "#3b82f6",
+    });
+    return isConfirmed ? runMutation({ label, apply, rollback, request, onSuccess }) : false;
+  }
+};
+
+// apply/rollback pair for merging `changes` into the item with `_id === id` in a list held by setList.
+// Rollback restores only the fields this mutation touched, so other edits made meanwhile survive.
+export const patchInList = (setList, id, changes) => {
+  let previous = null;
+  return {
+    apply: () =>
+      setList((list) =>
+        list.map((item) => {
+          if (item._id !== id) return item;
+          previous = Object.fromEntries(Object.keys(changes).map((key) => [key, item[key]]));
+          return { ...item, ...changes };
+        })
+      ),
+    rollback: () => previous && setList((list) => list.map((item) => (item._id === id ? { ...item, ...previous } : item))),
+  };
+};
+
+// Same for a single object held in state (e.g. the bill on its detail page)
+export const patchItem = (setItem, changes) => {
+  let previous = null;
+  return {
+    apply: () =>
+      setItem((item) => {
+        previous = Object.fromEntries(Object.keys(changes).map((key) => [key, item?.[key]]));
+        return { ...item, ...changes };
+      }),
+    rollback: () => previous && setItem((item) => ({ ...item, ...previous })),
+  };
+};
+
+// apply/rollback pair for taking the item out of a list and putting it back at the same position
+export const removeFromList = (setList, id) => {
+  let removed = null;
+  let index = -1;
+  return {
+    apply: () =>
+      setList((list) => {
+        index = list.findIndex((item) => item._id === id);
+        removed = list[index] || null;
+        return list.filter((item) => item._id !== id);
+      }),
+    rollback: () =>
+      removed && setList((list) => (list.some((item) => item._id === id) ? list : [...list.slice(0, index), removed, ...list.slice(index)])),
+  };
+};
@@ -0,0 +1,93 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import Swal from "sweetalert2";
+import { patchInList, patchItem, removeFromList, runMutation } from "./mutations.js";
+
+vi.mock("sweetalert2", () => ({ default: { fire: vi.fn() } }));
+
+// A stand-in for a useState setter
+const holder = (initial) => {
+  const state = { value: initial };
+  state.set = (next) => (state.value = typeof next === "function" ? next(state.value) : next);
+  return state;
+};
+
+describe("runMutation", () => {
+  beforeEach(() => {
+    Swal.fire.mockReset();
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  it("applies, sends and hands the result to onSuccess", async () => {
+    const calls = [];
+    const ok = await runMutation({
+      label: "Save",
+      apply: () => calls.push("apply"),
+      rollback: () => calls.push("rollback"),
+      request: async () => "saved",
+      onSuccess: (result) => calls.push(result),
+    });
+    expect(ok).toBe(true);
+    expect(calls).toEqual(["apply", "saved"]);
+    expect(Swal.fire).not.toHaveBeenCalled();
+  });
+
+  it("rolls back and shows the server's message when the request fails", async () => {
+    Swal.fire.mockResolvedValue({ isConfirmed: false });
+    const calls = [];
+    const ok = await runMutation({
+      label: "Save",
+      apply: () => calls.push("apply"),
+      rollback: () => calls.push("rollback"),
+      request: () => Promise.reject({ response: { data: { message: "Bill is locked" } } }),
+    });
+    expect(ok).toBe(false);
+    expect(calls).toEqual(["apply", "rollback"]);
+    expect(Swal.fire).toHaveBeenCalledWith(expect.objectContaining({ title: "Save failed", text: "Bill is locked" }));
+  });
+
+  it("runs the whole mutation again on Retry", async () => {
+    Swal.fire.mockResolvedValue({ isConfirmed: true });
+    const request = vi.fn().mockRejectedValueOnce(new Error("offline")).mockResolvedValueOnce("saved");
+    const calls = [];
+    const ok = await runMutation({
+      label: "Save",
+      apply: () => calls.push("apply"),
+      rollback: () => calls.push("rollback"),
+      request,
+      onSuccess: () => calls.push("success"),
+    });
+    expect(ok).toBe(true);
+    expect(calls).toEqual(["apply", "rollback", "apply", "success"]);
+    expect(Swal.fire.mock.calls[0][0].text).toBe("Network error. Check your connection.");
+  });
+});
+
+describe("apply/rollback pairs", () => {
+  it("patchInList restores only the fields it changed", () => {
+    const list = holder([{ _id: "a", status: "pending", priority: "p3" }, { _id: "b", status: "pending" }]);
+    const change = patchInList(list.set, "a", { status: "success" });
+    change.apply();
+    list.set((items) => items.map((item) => (item._id === "a" ? { ...item, priority: "p1" } : item)));
+    change.rollback();
+    expect(list.value[0]).toEqual({ _id: "a", status: "pending", priority: "p1" });
+  });
+
+  it("patchItem restores the previous values", () => {
+    const bill = holder({ _id: "a", followUpAt: null });
+    const change = patchItem(bill.set, { followUpAt: "2025-01-10T09:00:00Z" });
+    change.apply();
+    expect(bill.value.followUpAt).toBe("2025-01-10T09:00:00Z");
+    change.rollback();
+    expect(bill.value.followUpAt).toBeNull();
+  });
+
+  it("removeFromList puts the item back where it was, once", () => {
+    const list = holder([{ _id: "a" }, { _id: "b" }, { _id: "c" }]);
+    const change = removeFromList(list.set, "b");
+    change.apply();
+    expect(list.value.map((item) => item._id)).toEqual(["a", "c"]);
+    change.rollback();
+    change.rollback();
+    expect(list.value.map((item) => item._id)).toEqual(["a", "b", "c"]);
+  });
+});
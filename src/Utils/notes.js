@@ -0,0 +1,66 @@
+import axios from "axios";
+import { getUserName } from "./currentUser.js";
+
+// ✅ Bill notes are a thread: bill.notes = [{ _id, text, by, at, editedAt }].
+// Each endpoint answers with the bill's full, updated notes list; the helpers below resolve to
+// the patch to merge into the local bill.
+//   POST   /api/bills/:id/notes           { text }
+//   PUT    /api/bills/:id/notes/:noteId   { text }
+//   DELETE /api/bills/:id/notes/:noteId
+// While offline the request is queued (see offline.js) and answers { queued: true }; the patch is
+// then worked out locally, and the new note stays read-only until it syncs and gets a server id.
+// Bills saved before threads existed have the old single `note` string; it is shown as the oldest,
+// undated note (unless the thread already holds a migrated copy) and edited through the bill itself.
+export const LEGACY_NOTE_ID = "legacy";
+
+// Only the threaded notes, newest first; what a local patch to `notes` should build on
+export const threadNotes = (bill) =>
+  (Array.isArray(bill?.notes) ? [...bill.notes] : []).sort((a, b) => new Date(b.at || 0) - new Date(a.at || 0));
+
+export const getNotes = (bill) => {
+  const notes = threadNotes(bill);
+  const legacy = bill?.note?.trim();
+  if (legacy && !notes.some((n) => n.text?.trim() === legacy)) {
+    notes.push({ _id: LEGACY_NOTE_ID, text: bill.note, at: null });
+  }
+  return notes;
+};
+
+export const latestNote = (bill) => getNotes(bill)[0] || null;
+
+// Flattened for CSV/XLSX export, newest first
+export const notesToText = (bill) =>
+  getNotes(bill)
+    .map((n) => (n.at ? `[${formatNoteTime(n.at)}] ${n.text}` : n.text))
+    .join("\n");
+
+export const formatNoteTime = (at) =>
+  at ? new Date(at).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" }) : "Earlier note";
+
+const notesPatch = (res, bill, applyLocally) =>
+  res.data?.queued ? { notes: applyLocally(threadNotes(bill)) } : { notes: res.data?.data ?? res.data ?? [] };
+
+export const addNote = async (bill, text) => {
+  const res = await axios.post(`/api/bills/${bill._id}/notes`, { text });
+  const now = new Date().toISOString();
+  return notesPatch(res, bill, (notes) => [{ _id: `local-${Date.now()}`, text, by: getUserName(), at: now, local: true }, ...notes]);
+};
+
+export const editNote = async (bill, noteId, text) => {
+  if (noteId === LEGACY_NOTE_ID) {
+    await axios.put(`/api/bills/${bill._id}`, { note: text });
+    return { note: text };
+  }
+  const res = await axios.put(`/api/bills/${bill._id}/notes/${noteId}`, { text });
+  const now = new Date().toISOString();
+  return notesPatch(res, bill, (notes) => notes.map((n) => (n._id === noteId ? { ...n, text, editedAt: now } : n)));
+};
+
+export const deleteNote = async (bill, noteId) => {
+  if (noteId === LEGACY_NOTE_ID) {
+    await axios.put(`/api/bills/${bill._id}`, { note: "" });
+    return { note: "" };
+  }
+  const res = await axios.delete(`/api/bills/${bill._id}/notes/${noteId}`);
+  return notesPatch(res, bill, (notes) => notes.filter((n) => n._id !== noteId));
+};
@@ -0,0 +1,64 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import axios from "axios";
+import { LEGACY_NOTE_ID, addNote, deleteNote, editNote, getNotes, latestNote } from "./notes.js";
+
+vi.mock("axios", () => ({ default: { post: vi.fn(), put: vi.fn(), delete: vi.fn() } }));
+vi.mock("./currentUser.js", () => ({ getUserName: () => "Asha" }));
+
+const thread = [
+  { _id: "n1", text: "Called, no answer", at: "2025-01-02T10:00:00Z" },
+  { _id: "n2", text: "Promised to pay Friday", at: "2025-01-05T10:00:00Z" },
+];
+
+describe("getNotes", () => {
+  it("lists threaded notes newest first", () => {
+    expect(getNotes({ notes: thread }).map((n) => n._id)).toEqual(["n2", "n1"]);
+    expect(latestNote({ notes: thread })._id).toBe("n2");
+  });
+
+  it("shows the legacy note on its own or as the oldest entry of a thread", () => {
+    expect(getNotes({ note: "Old remark" })).toEqual([{ _id: LEGACY_NOTE_ID, text: "Old remark", at: null }]);
+    expect(getNotes({ note: "Old remark", notes: thread }).map((n) => n._id)).toEqual(["n2", "n1", LEGACY_NOTE_ID]);
+    expect(getNotes({ note: "Old remark", notes: [] })).toHaveLength(1);
+  });
+
+  it("skips the legacy note once the thread holds a migrated copy", () => {
+    const migrated = [...thread, { _id: "n0", text: "Old remark", at: null }];
+    expect(getNotes({ note: "Old remark", notes: migrated }).map((n) => n._id)).toEqual(["n2", "n1", "n0"]);
+  });
+
+  it("has nothing to show for a bill without notes", () => {
+    expect(getNotes({ note: "  " })).toEqual([]);
+    expect(latestNote(null)).toBeNull();
+  });
+});
+
+describe("note requests", () => {
+  const bill = { _id: "b1", note: "Old remark", notes: thread };
+
+  beforeEach(() => vi.clearAllMocks());
+
+  it("takes the server's notes list as the patch", async () => {
+    const saved = [{ _id: "n3", text: "Paid", at: "2025-01-06T10:00:00Z" }, ...thread];
+    axios.post.mockResolvedValue({ data: { data: saved } });
+    expect(await addNote(bill, "Paid")).toEqual({ notes: saved });
+    expect(axios.post).toHaveBeenCalledWith("/api/bills/b1/notes", { text: "Paid" });
+  });
+
+  it("works out a queued change locally without copying the legacy note into the thread", async () => {
+    axios.post.mockResolvedValue({ data: { queued: true } });
+    const { notes } = await addNote(bill, "Paid");
+    expect(notes.map((n) => n.text)).toEqual(["Paid", "Promised to pay Friday", "Called, no answer"]);
+    expect(notes[0]).toMatchObject({ by: "Asha", local: true });
+
+    axios.delete.mockResolvedValue({ data: { queued: true } });
+    expect((await deleteNote(bill, "n1")).notes.map((n) => n._id)).toEqual(["n2"]);
+  });
+
+  it("edits and deletes the legacy note through the bill itself", async () => {
+    axios.put.mockResolvedValue({ data: {} });
+    expect(await editNote(bill, LEGACY_NOTE_ID, "Reworded")).toEqual({ note: "Reworded" });
+    expect(axios.put).toHaveBeenCalledWith("/api/bills/b1", { note: "Reworded" });
+    expect(await deleteNote(bill, LEGACY_NOTE_ID)).toEqual({ note: "" });
+  });
+});
@@ -0,0 +1,281 @@
+import axios from "axios";
+import Swal from "sweetalert2";
+import { idbDelete, idbGet, idbGetAll, idbPut } from "./offlineDb.js";
+import { getUserName } from "./currentUser.js";
+import { EDITABLE_FIELDS } from "./billFields.js";
+
+// ✅ Offline mode, implemented as axios interceptors so pages keep calling axios as usual:
+//    - GET /api/bills…, /api/stages: every good response is cached in IndexedDB and served back
+//      (with queued changes applied) when the network is unreachable
+//    - bill field updates (status / priority / stage / follow-up / corrected scanned fields) and note
+//      add/edit/delete made while unreachable are queued and answered with { queued: true }, so optimistic UI simply stays
+//    - the queue replays in order when the browser comes back online; a field someone else changed
+//      in the meantime is a conflict, and the user picks which value wins
+
+// Bill ids are Mongo ObjectIds, which keeps named routes (/api/bills/BillNumber, /trash, /batch) out
+const BILL_ID = "([a-f\\d]{24})";
+const CACHEABLE = new RegExp(`^/api/(bills(/${BILL_ID})?|stages)$`);
+// `note` is the pre-thread single note, still edited through PUT (LEGACY_NOTE_ID in notes.js)
+const BILL_FIELDS = ["status", "priority", "stageId", "followUpAt", "note", ...EDITABLE_FIELDS.map((f) => f.key), "correctedFields"];
+// Travels with a corrected value, which gets the conflict check itself
+const UNCHECKED_FIELDS = ["correctedFields"];
+const BILL_UPDATE = new RegExp(`^/api/bills/${BILL_ID}$`);
+const NOTE_ADD = new RegExp(`^/api/bills/${BILL_ID}/notes$`);
+const NOTE_CHANGE = new RegExp(`^/api/bills/${BILL_ID}/notes/([^/]+)$`);
+
+// ---- Sync status, shared with the nav indicator -------------------------------------------
+
+let status = {
+  online: typeof navigator === "undefined" ? true : navigator.onLine,
+  pending: 0,
+  syncing: false,
+  lastSyncedAt: null,
+  // Bumped when a sync dropped or overrode a local change, so pages know to refetch
+  dataVersion: 0,
+};
+const listeners = new Set();
+
+export const getSyncStatus = () => status;
+
+export const subscribeSyncStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const setStatus = (changes) => {
+  status = { ...status, ...changes };
+  listeners.forEach((listener) => listener(status));
+};
+
+const refreshPending = async () => setStatus({ pending: (await readQueue()).length });
+
+// ---- Helpers ----------------------------------------------------------------------------------
+
+const pathOf = (config) => (config.url || "").split("?")[0];
+const cacheKey = (config) => `${pathOf(config)}?${JSON.stringify(config.params || {})}`;
+const bodyOf = (config) => (typeof config.data === "string" ? JSON.parse(config.data || "{}") : config.data || {});
+const readQueue = () => idbGetAll("queue").catch(() => []);
+
+// Responses come as a bare array, a bare bill, { data: [...] } or { data: bill }; apply fn to every bill in them
+const mapBills = (payload, fn) => {
+  if (Array.isArray(payload)) return payload.map(fn);
+  if (payload?._id) return fn(payload);
+  if (Array.isArray(payload?.data)) return { ...payload, data: payload.data.map(fn) };
+  if (payload?.data?._id) return { ...payload, data: fn(payload.data) };
+  return payload;
+};
+
+// What a bill looks like once the queued (not yet synced) changes are applied
+const applyQueued = (bill, queue) =>
+  queue.reduce((acc, item) => {
+    if (item.billId !== acc._id) return acc;
+    if (item.kind === "update") return { ...acc, ...item.data };
+    const notes = acc.notes || [];
+    if (item.kind === "noteAdd") {
+      const note = { _id: `local-${item.id}`, text: item.data.text, by: item.by, at: item.queuedAt, local: true };
+      return { ...acc, notes: [note, ...notes] };
+    }
+    if (item.kind === "noteEdit") return { ...acc, notes: notes.map((n) => (n._id === item.noteId ? { ...n, text: item.data.text, editedAt: item.queuedAt } : n)) };
+    if (item.kind === "noteDelete") return { ...acc, notes: notes.filter((n) => n._id !== item.noteId) };
+    return acc;
+  }, bill);
+
+// Newest cached copy of one bill, from its own response or any cached list
+const findCachedBill = async (billId) => {
+  const entries = (await idbGetAll("responses").catch(() => [])).sort((a, b) => b.savedAt - a.savedAt);
+  for (const entry of entries) {
+    let found = null;
+    mapBills(entry.data, (bill) => {
+      if (!found && bill._id === billId) found = bill;
+      return bill;
+    });
+    if (found) return found;
+  }
+  return null;
+};
+
+const classify = (config) => {
+  const method = (config.method || "get").toLowerCase();
+  const path = pathOf(config);
+  let match;
+  if (method === "put" && (match = path.match(BILL_UPDATE))) {
+    const fields = Object.keys(bodyOf(config));
+    if (fields.length && fields.every((f) => BILL_FIELDS.includes(f))) return { kind: "update", billId: match[1] };
+  }
+  if (method === "post" && (match = path.match(NOTE_ADD))) return { kind: "noteAdd", billId: match[1] };
+  if ((match = path.match(NOTE_CHANGE))) {
+    if (method === "put") return { kind: "noteEdit", billId: match[1], noteId: match[2] };
+    if (method === "delete") return { kind: "noteDelete", billId: match[1], noteId: match[2] };
+  }
+  return null;
+};
+
+// ---- Serving from cache / queueing ------------------------------------------------------------
+
+const serveFromCache = async (config) => {
+  const queue = await readQueue();
+  const cached = await idbGet("responses", cacheKey(config)).catch(() => null);
+  let data = cached?.data;
+
+  // A bill opened from a link may only be cached as part of a list
+  const single = pathOf(config).match(BILL_UPDATE);
+  if (!data && single) {
+    const bill = await findCachedBill(single[1]);
+    if (bill) data = { data: bill };
+  }
+  if (data === undefined) return null;
+
+  return { data: mapBills(data, (bill) => applyQueued(bill, queue)), status: 200, statusText: "OK (offline cache)", headers: {}, config, fromCache: true };
+};
+
+const enqueue = async (config, target) => {
+  const data = bodyOf(config);
+  const item = { ...target, method: config.method.toLowerCase(), url: pathOf(config), data, by: getUserName(), queuedAt: new Date().toISOString() };
+
+  // Remember what the fields looked like before this change, to spot conflicting edits on replay
+  if (target.kind === "update") {
+    const cached = await findCachedBill(target.billId);
+    if (cached) {
+      const current = applyQueued(cached, await readQueue());
+      item.base = Object.fromEntries(Object.keys(data).map((key) => [key, current[key] ?? null]));
+    }
+  }
+
+  await idbPut("queue", item);
+  await refreshPending();
+  return { data: { queued: true }, status: 202, statusText: "Queued offline", headers: {}, config };
+};
+
+// ---- Replay ------------------------------------------------------------------------------------
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+
+const describeValue = (value) => (value == null || value === "" ? "(empty)" : escapeHtml(value));
+
+// Fields the server changed since we queued, to something other than what we are about to send
+const conflictingFields = (item, server) =>
+  Object.keys(item.base || {}).filter((key) => {
+    if (UNCHECKED_FIELDS.includes(key)) return false;
+    const theirs = server?.[key] ?? null;
+    return theirs !== item.base[key] && theirs !== (item.data[key] ?? null);
+  });
+
+const resolveConflict = async (item, server, fields) => {
+  const { isConfirmed } = await Swal.fire({
+    icon: "warning",
+    title: "Changed by someone else",
+    html:
+      `<p><b>${escapeHtml(server.name || "A bill")}</b> was edited while you were offline.</p>` +
+      fields
+        .map((f) => `<p style="margin-top:8px"><b>${f}</b>: theirs <b>${describeValue(server[f])}</b>, yours <b>${describeValue(item.data[f])}</b></p>`)
+        .join(""),
+    showCancelButton: true,
+    confirmButtonText: "Keep mine",
+    cancelButtonText: "Keep theirs",
+    confirmButtonColor: "#3b82f6",
+    cancelButtonColor: "#6b7280",
+    allowOutsideClick: false,
+  });
+  return isConfirmed;
+};
+
+let syncPromise = null;
+
+const replayQueue = async () => {
+  const queue = (await readQueue()).sort((a, b) => a.id - b.id);
+  if (!queue.length) return;
+
+  setStatus({ syncing: true });
+  let overridden = false;
+  const rejected = [];
+
+  for (const item of queue) {
+    try {
+      if (item.kind === "update" && item.base) {
+        const res = await axios.get(`/api/bills/${item.billId}`, { offlineReplay: true });
+        const server = res.data?.data ?? res.data;
+        const fields = conflictingFields(item, server);
+        if (fields.length && !(await resolveConflict(item, server, fields))) {
+          await idbDelete("queue", item.id);
+          overridden = true;
+          continue;
+        }
+      }
+      await axios({ method: item.method, url: item.url, data: item.data, offlineReplay: true });
+      await idbDelete("queue", item.id);
+    } catch (err) {
+      // Still unreachable: keep this and everything after it for the next attempt
+      if (!err.response) {
+        setStatus({ online: false });
+        break;
+      }
+      // The server refused it (bill deleted, validation…); drop it so it can't block the queue
+      console.error("❌ Queued change rejected:", err);
+      rejected.push(item);
+      await idbDelete("queue", item.id);
+    } finally {
+      await refreshPending();
+    }
+  }
+
+  setStatus({
+    syncing: false,
+    lastSyncedAt: new Date().toISOString(),
+    dataVersion: overridden || rejected.length ? status.dataVersion + 1 : status.dataVersion,
+  });
+
+  if (rejected.length) {
+    Swal.fire("Some offline changes were rejected", `${rejected.length} change(s) could not be applied and were discarded.`, "warning");
+  }
+};
+
+export const syncQueue = () => {
+  if (!syncPromise) syncPromise = replayQueue().finally(() => (syncPromise = null));
+  return syncPromise;
+};
+
+// ---- Wiring ------------------------------------------------------------------------------------
+
+const goOnline = () => {
+  const wasOffline = !status.online;
+  setStatus({ online: true });
+  if (wasOffline || status.pending) syncQueue();
+};
+
+export const installOfflineSupport = () => {
+  axios.interceptors.response.use(
+    (response) => {
+      const { config } = response;
+      if (!config.offlineReplay && !status.online) goOnline();
+      if ((config.method || "get").toLowerCase() === "get" && CACHEABLE.test(pathOf(config))) {
+        idbPut("responses", { key: cacheKey(config), data: response.data, savedAt: Date.now() }).catch(() => {});
+      }
+      return response;
+    },
+    async (error) => {
+      const { config } = error;
+      // Only "couldn't reach the server" counts as offline — not HTTP errors, and not aborted requests
+      if (error.response || axios.isCancel(error) || !config || config.offlineReplay) throw error;
+      setStatus({ online: false });
+
+      const method = (config.method || "get").toLowerCase();
+      try {
+        if (method === "get" && CACHEABLE.test(pathOf(config))) {
+          const cached = await serveFromCache(config);
+          if (cached) return cached;
+        } else {
+          const target = classify(config);
+          if (target) return await enqueue(config, target);
+        }
+      } catch (storageError) {
+        console.error("❌ Offline storage unavailable:", storageError);
+      }
+      throw error;
+    }
+  );
+
+  window.addEventListener("online", goOnline);
+  window.addEventListener("offline", () => setStatus({ online: false }));
+  refreshPending().then(() => status.online && status.pending && syncQueue());
+};
@@ -0,0 +1,164 @@
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import Swal from "sweetalert2";
+import { getSyncStatus, installOfflineSupport, syncQueue } from "./offline.js";
+
+// axios is both called (replay) and used through .get / interceptors
+const axios = vi.hoisted(() => {
+  const fn = vi.fn();
+  fn.get = vi.fn();
+  fn.isCancel = () => false;
+  fn.interceptors = { response: { use: vi.fn() } };
+  return fn;
+});
+// In-memory stand-in for the IndexedDB stores
+const db = vi.hoisted(() => ({ responses: new Map(), queue: new Map(), nextId: 1 }));
+
+vi.mock("axios", () => ({ default: axios }));
+vi.mock("sweetalert2", () => ({ default: { fire: vi.fn() } }));
+vi.mock("./currentUser.js", () => ({ getUserName: () => "Asha" }));
+vi.mock("./offlineDb.js", () => ({
+  idbGet: async (store, key) => db[store].get(key),
+  idbGetAll: async (store) => [...db[store].values()],
+  idbPut: async (store, value) => {
+    const key = store === "queue" ? (value.id ??= db.nextId++) : value.key;
+    db[store].set(key, value);
+    return key;
+  },
+  idbDelete: async (store, key) => db[store].delete(key),
+}));
+
+const BILL_ID = "a".repeat(24);
+const bill = { _id: BILL_ID, name: "Ravi Kumar", status: "pending", priority: "p3", notes: [] };
+
+let onResponse;
+let onNetworkError;
+
+// What the interceptors see for a request that got an answer / never reached the server
+const answered = (config, data) => onResponse({ config, data, status: 200 });
+const unreachable = (config) => onNetworkError({ config, message: "Network Error" });
+
+beforeAll(() => {
+  vi.stubGlobal("window", { addEventListener: vi.fn() });
+  installOfflineSupport();
+  [[onResponse, onNetworkError]] = axios.interceptors.response.use.mock.calls;
+});
+
+beforeEach(() => {
+  db.responses.clear();
+  db.queue.clear();
+  db.nextId = 1;
+  axios.mockReset();
+  axios.get.mockReset();
+  Swal.fire.mockReset();
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+describe("queueing while unreachable", () => {
+  it("queues bill field updates and note changes", async () => {
+    const res = await unreachable({ method: "put", url: `/api/bills/${BILL_ID}`, data: JSON.stringify({ status: "inprocess" }) });
+    expect(res.data).toEqual({ queued: true });
+
+    await unreachable({ method: "post", url: `/api/bills/${BILL_ID}/notes`, data: { text: "Called" } });
+    await unreachable({ method: "delete", url: `/api/bills/${BILL_ID}/notes/n1` });
+
+    expect([...db.queue.values()].map(({ kind, noteId }) => ({ kind, noteId }))).toEqual([
+      { kind: "update", noteId: undefined },
+      { kind: "noteAdd", noteId: undefined },
+      { kind: "noteDelete", noteId: "n1" },
+    ]);
+    expect(getSyncStatus()).toMatchObject({ online: false, pending: 3 });
+  });
+
+  it("lets everything else fail as usual", async () => {
+    const requests = [
+      { method: "put", url: `/api/bills/${BILL_ID}`, data: { status: "success", bogus: 1 } },
+      { method: "post", url: "/api/bills/batch", data: { ids: [BILL_ID], action: "delete" } },
+      { method: "delete", url: `/api/bills/${BILL_ID}` },
+    ];
+    for (const config of requests) await expect(unreachable(config)).rejects.toMatchObject({ message: "Network Error" });
+    expect(db.queue.size).toBe(0);
+  });
+
+  it("remembers the value each field had before the change", async () => {
+    answered({ method: "get", url: "/api/bills", params: { status: "pending" } }, { data: [bill] });
+    await unreachable({ method: "put", url: `/api/bills/${BILL_ID}`, data: { priority: "p1" } });
+    await unreachable({ method: "put", url: `/api/bills/${BILL_ID}`, data: { priority: "p2" } });
+
+    expect([...db.queue.values()].map((item) => item.base)).toEqual([{ priority: "p3" }, { priority: "p1" }]);
+  });
+});
+
+describe("serving from cache", () => {
+  it("answers a cached GET with queued changes applied", async () => {
+    const list = { method: "get", url: "/api/bills", params: { status: "pending" } };
+    answered(list, { data: [bill], hasMore: false });
+    await unreachable({ method: "put", url: `/api/bills/${BILL_ID}`, data: { status: "inprocess" } });
+    await unreachable({ method: "post", url: `/api/bills/${BILL_ID}/notes`, data: { text: "Called" } });
+
+    const res = await unreachable(list);
+    expect(res.fromCache).toBe(true);
+    expect(res.data.data[0]).toMatchObject({ status: "inprocess", notes: [{ text: "Called", by: "Asha", local: true }] });
+  });
+
+  it("finds a single bill inside a cached list", async () => {
+    answered({ method: "get", url: "/api/bills" }, [bill]);
+    const res = await unreachable({ method: "get", url: `/api/bills/${BILL_ID}` });
+    expect(res.data).toEqual({ data: bill });
+  });
+
+  it("doesn't cache named routes", async () => {
+    answered({ method: "get", url: "/api/bills/trash" }, { data: [bill] });
+    expect(db.responses.size).toBe(0);
+  });
+});
+
+describe("replay", () => {
+  const queued = (id, data, base) => db.queue.set(id, { id, kind: "update", billId: BILL_ID, method: "put", url: `/api/bills/${BILL_ID}`, data, base });
+
+  it("sends queued changes oldest first and empties the queue", async () => {
+    queued(2, { priority: "p1" });
+    queued(1, { status: "inprocess" });
+    axios.mockResolvedValue({ data: {} });
+
+    await syncQueue();
+
+    expect(axios.mock.calls.map(([config]) => config.data)).toEqual([{ status: "inprocess" }, { priority: "p1" }]);
+    expect(db.queue.size).toBe(0);
+  });
+
+  it("stops at the first change that still can't get through and keeps the rest", async () => {
+    queued(1, { status: "inprocess" });
+    queued(2, { priority: "p1" });
+    axios.mockRejectedValueOnce(new Error("Network Error"));
+
+    await syncQueue();
+
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect([...db.queue.keys()]).toEqual([1, 2]);
+  });
+
+  it("asks before overwriting a field someone else changed, and drops the change on Keep theirs", async () => {
+    queued(1, { status: "inprocess" }, { status: "pending" });
+    axios.get.mockResolvedValue({ data: { data: { ...bill, status: "success" } } });
+    Swal.fire.mockResolvedValue({ isConfirmed: false });
+    const { dataVersion } = getSyncStatus();
+
+    await syncQueue();
+
+    expect(Swal.fire).toHaveBeenCalledWith(expect.objectContaining({ title: "Changed by someone else" }));
+    expect(axios).not.toHaveBeenCalled();
+    expect(db.queue.size).toBe(0);
+    expect(getSyncStatus().dataVersion).toBe(dataVersion + 1);
+  });
+
+  it("doesn't count an unchanged field, or one already at our value, as a conflict", async () => {
+    queued(1, { status: "inprocess", priority: "p1" }, { status: "pending", priority: "p3" });
+    axios.get.mockResolvedValue({ data: { ...bill, priority: "p1" } });
+    axios.mockResolvedValue({ data: {} });
+
+    await syncQueue();
+
+    expect(Swal.fire).not.toHaveBeenCalled();
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,41 @@
+// ✅ Tiny promise wrapper around the IndexedDB database used for offline mode.
+//    responses: last good GET response per request  { key, data, savedAt }
+//    queue:     mutations made while offline         { id (auto), method, url, data, ... }
+const DB_NAME = "crm-offline";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains("responses")) db.createObjectStore("responses", { keyPath: "key" });
+        if (!db.objectStoreNames.contains("queue")) db.createObjectStore("queue", { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again (e.g. after the user leaves private browsing)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (storeName, mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = action(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const idbGet = (store, key) => run(store, "readonly", (s) => s.get(key));
+export const idbGetAll = (store) => run(store, "readonly", (s) => s.getAll());
+export const idbPut = (store, value) => run(store, "readwrite", (s) => s.put(value));
+export const idbDelete = (store, key) => run(store, "readwrite", (s) => s.delete(key));
@@ -0,0 +1,86 @@
+import { displayAmount, formatAmount } from "./money.js";
+import { getPromptStatus } from "./promptPayment.js";
+
+// ✅ Payment reminder slips for door-to-door visits, printed (or saved as PDF) from the browser's print dialog.
+// Everything is rendered here; no server round trip.
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const text = (value) => (value == null || value === "" ? "—" : escapeHtml(value));
+
+const row = (label, value, strong = false) =>
+  `<tr><th>${label}</th><td${strong ? ' class="strong"' : ""}>${value}</td></tr>`;
+
+const promptLine = (bill, today) => {
+  const { state, savings } = getPromptStatus(bill, today);
+  if (state === "open" || state === "today") {
+    return `<p class="prompt">Pay ${escapeHtml(displayAmount(bill.billAmountWithPromptDiscount))} by ${text(bill.promptPaymentDate)} and save ${escapeHtml(formatAmount(savings))} (prompt-payment discount).</p>`;
+  }
+  return "";
+};
+
+const slip = (bill, today) => `
+  <section class="slip">
+    <header>
+      <h2>Electricity Bill — Payment Reminder</h2>
+      <span>${escapeHtml(today.toLocaleDateString("en-IN"))}</span>
+    </header>
+    <p class="customer">${text(bill.name)}</p>
+    <div class="columns">
+      <table>
+        ${row("Consumer No.", text(bill.consumerNumber), true)}
+        ${row("Billing Unit", text(bill.billingUnit))}
+        ${row("Bill Month", text(bill.billMonth))}
+        ${row("Bill Period", text(bill.billPeriod))}
+      </table>
+      <table>
+        ${row("Bill Amount", escapeHtml(displayAmount(bill.billAmount)), true)}
+        ${row("Due Date", text(bill.billDueDate), true)}
+        ${row("After Due Date", escapeHtml(displayAmount(bill.billAmountAfterDueDate)))}
+        ${row("With Prompt Discount", bill.billAmountWithPromptDiscount ? `${escapeHtml(displayAmount(bill.billAmountWithPromptDiscount))} by ${text(bill.promptPaymentDate)}` : "—")}
+      </table>
+    </div>
+    ${promptLine(bill, today)}
+    <p class="footer">Please pay before the due date to avoid the late payment charge.</p>
+  </section>`;
+
+const STYLES = `
+  @page { size: A4; margin: 10mm; }
+  * { box-sizing: border-box; }
+  body { font-family: Arial, Helvetica, sans-serif; color: #111; margin: 0; }
+  .slip { border: 1px dashed #666; padding: 5mm 6mm; margin-bottom: 6mm; page-break-inside: avoid; break-inside: avoid; }
+  header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 1px solid #111; padding-bottom: 2mm; }
+  h2 { font-size: 14pt; margin: 0; }
+  header span { font-size: 9pt; color: #555; }
+  .customer { font-size: 13pt; font-weight: bold; margin: 3mm 0 2mm; }
+  .columns { display: flex; gap: 8mm; }
+  table { flex: 1; border-collapse: collapse; font-size: 10pt; }
+  th { text-align: left; font-weight: normal; color: #555; padding: 1mm 3mm 1mm 0; width: 40%; }
+  td { padding: 1mm 0; }
+  td.strong { font-weight: bold; }
+  .prompt { margin: 3mm 0 0; padding: 2mm 3mm; border: 1px solid #111; font-weight: bold; font-size: 10pt; }
+  .footer { margin: 3mm 0 0; font-size: 9pt; color: #555; }
+`;
+
+export const billSlipsHtml = (bills, today = new Date()) =>
+  `<!doctype html><html><head><meta charset="utf-8"><title>Payment reminders</title><style>${STYLES}</style></head>` +
+  `<body>${bills.map((bill) => slip(bill, today)).join("")}</body></html>`;
+
+// Prints through a hidden iframe rather than a popup: callers usually await a fetch first,
+// and popup blockers only allow window.open straight from a click
+export const printBillSlips = (bills) => {
+  const frame = document.createElement("iframe");
+  frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0;";
+  document.body.appendChild(frame);
+
+  const doc = frame.contentWindow.document;
+  doc.open();
+  doc.write(billSlipsHtml(bills));
+  doc.close();
+
+  const win = frame.contentWindow;
+  win.addEventListener("afterprint", () => frame.remove());
+  win.focus();
+  win.print();
+};
@@ -0,0 +1,24 @@
+import { parseAmount } from "./money.js";
+import { daysUntil } from "./dates.js";
+
+export const DEFAULT_PROMPT_WINDOW_DAYS = 7;
+
+// What the consumer saves by paying by promptPaymentDate; null when either amount is unreadable or there's no discount
+export const promptSavings = (bill) => {
+  const full = parseAmount(bill.billAmount);
+  const discounted = parseAmount(bill.billAmountWithPromptDiscount);
+  if (full == null || discounted == null || discounted >= full) return null;
+  return full - discounted;
+};
+
+// ✅ Where a bill stands with its prompt-payment discount:
+// { state: "open" | "today" | "closed" | "none", days, savings }
+// "none" covers paid bills, bills without a discount and unreadable dates — nothing to chase there.
+export const getPromptStatus = (bill, today = new Date()) => {
+  const savings = promptSavings(bill);
+  const days = daysUntil(bill.promptPaymentDate, today);
+  if (bill.status === "success" || savings == null || days == null) return { state: "none", days: null, savings };
+  if (days < 0) return { state: "closed", days: -days, savings };
+  if (days === 0) return { state: "today", days: 0, savings };
+  return { state: "open", days, savings };
+};
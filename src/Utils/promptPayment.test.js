@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { getPromptStatus, promptSavings } from "./promptPayment.js";
+
+const today = new Date(2025, 0, 10);
+const bill = (changes) => ({ billAmount: "1,250.00", billAmountWithPromptDiscount: "1,225.00", promptPaymentDate: "15-01-2025", status: "pending", ...changes });
+
+describe("promptSavings", () => {
+  it("is the difference between the bill and the discounted amount", () => {
+    expect(promptSavings(bill())).toBe(25);
+  });
+
+  it("is null without a real discount", () => {
+    expect(promptSavings(bill({ billAmountWithPromptDiscount: "1250" }))).toBeNull();
+    expect(promptSavings(bill({ billAmountWithPromptDiscount: "" }))).toBeNull();
+    expect(promptSavings(bill({ billAmount: "n/a" }))).toBeNull();
+  });
+});
+
+describe("getPromptStatus", () => {
+  it("counts the days left, the last day and the days since it closed", () => {
+    expect(getPromptStatus(bill(), today)).toEqual({ state: "open", days: 5, savings: 25 });
+    expect(getPromptStatus(bill({ promptPaymentDate: "10-01-2025" }), today)).toEqual({ state: "today", days: 0, savings: 25 });
+    expect(getPromptStatus(bill({ promptPaymentDate: "07-01-2025" }), today)).toEqual({ state: "closed", days: 3, savings: 25 });
+  });
+
+  it("has nothing to chase on paid bills, bills without a discount or an unreadable date", () => {
+    expect(getPromptStatus(bill({ status: "success" }), today).state).toBe("none");
+    expect(getPromptStatus(bill({ billAmountWithPromptDiscount: null }), today).state).toBe("none");
+    expect(getPromptStatus(bill({ promptPaymentDate: "soon" }), today)).toMatchObject({ state: "none", days: null });
+  });
+});
@@ -0,0 +1,25 @@
+import { runBillBatch } from "./billBatch.js";
+import { newBatchId } from "./activity.js";
+import { rowsToCsv } from "./exportBills.js";
+
+export const REMINDER_CHANNELS = { whatsapp: "WhatsApp", csv: "CSV export" };
+
+// ✅ Tell the backend which bills a campaign reached. Goes through /api/bills/batch as
+// { action: "logReminder", reminder: { channel, templateId, templateName, campaignId } }; the backend
+// appends a "reminder" activity entry and sets lastRemindedAt / lastRemindedBy on each bill.
+export const recordReminders = (ids, { channel, template }, onProgress) =>
+  runBillBatch(
+    ids,
+    {
+      action: "logReminder",
+      reminder: { channel, templateId: template?.id ?? null, templateName: template?.name ?? null, campaignId: newBatchId("reminder") },
+    },
+    onProgress
+  );
+
+// messages: [{ bill, phone, text }] → CSV the bulk-messaging tools accept (phone in international format)
+export const remindersToCsv = (messages) =>
+  rowsToCsv([
+    ["Phone", "Customer Name", "Consumer No.", "Message"],
+    ...messages.map(({ bill, phone, text }) => [phone, bill.name, bill.consumerNumber, text]),
+  ]);
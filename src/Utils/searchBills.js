@@ -0,0 +1,116 @@
+// ✅ Bill search rules. GET /api/bills and /api/consumers must match `search` over `searchFields` (SEARCH_FIELDS)
+// the same way, case-insensitively; cards and table use this copy to highlight what the server matched:
+//    - digits only  → exact prefix on consumerNumber, mobileNo (with or without +91 / 0) and billingUnit
+//    - anything else → typo-tolerant match on name words, substring match on billingUnit
+
+export const SEARCH_FIELDS = ["name", "consumerNumber", "mobileNo", "billingUnit"];
+
+const isNumericQuery = (query) => /^[\d\s+-]+$/.test(query) && /\d/.test(query);
+
+// Edit distance with adjacent transpositions ("Sahrma" → "Sharma" is one edit)
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Short tokens must match exactly; longer ones tolerate one typo, very long ones two
+const allowedTypos = (token) => (token.length < 4 ? 0 : token.length < 8 ? 1 : 2);
+
+// Does `token` match the start of `word`, allowing typos? Compares against prefixes of similar length.
+const fuzzyPrefixMatch = (token, word) => {
+  if (word.startsWith(token)) return token.length;
+  const typos = allowedTypos(token);
+  if (!typos) return 0;
+  for (let len = Math.max(1, token.length - typos); len <= Math.min(word.length, token.length + typos); len++) {
+    if (editDistance(token, word.slice(0, len)) <= typos) return len;
+  }
+  return 0;
+};
+
+// Map a digits-only prefix back onto the original string ("98765 43210" keeps its space)
+const digitPrefixRange = (value, digits) => {
+  const start = value.search(/\d/);
+  let seen = 0;
+  for (let i = start; i >= 0 && i < value.length; i++) {
+    if (/\d/.test(value[i])) seen++;
+    if (seen === digits.length) return [start, i + 1];
+  }
+  return null;
+};
+
+const matchNumber = (value, digits) => {
+  if (!value) return null;
+  const text = String(value);
+  const valueDigits = text.replace(/\D/g, "");
+  if (valueDigits.startsWith(digits)) return digitPrefixRange(text, digits);
+
+  // Mobile numbers are stored with and without the +91 / 0 trunk prefix
+  const local = valueDigits.replace(/^(91|0)(?=\d{10}$)/, "");
+  if (local !== valueDigits && local.startsWith(digits)) {
+    const offset = text.length - text.replace(/^[^\d]*(91|0)/, "").length;
+    const range = digitPrefixRange(text.slice(offset), digits);
+    return range && [range[0] + offset, range[1] + offset];
+  }
+  return null;
+};
+
+const matchName = (name, tokens) => {
+  if (!name) return null;
+  const lower = String(name).toLowerCase();
+  const words = [...lower.matchAll(/\S+/g)];
+  const ranges = [];
+
+  for (const token of tokens) {
+    let found = null;
+    for (const word of words) {
+      const length = fuzzyPrefixMatch(token, word[0]);
+      if (length) {
+        found = [word.index, word.index + length];
+        break;
+      }
+    }
+    // Fall back to a plain substring (e.g. "kumar" inside "Rajkumar")
+    if (!found) {
+      const at = lower.indexOf(token);
+      if (at >= 0) found = [at, at + token.length];
+    }
+    if (!found) return null;
+    ranges.push(found);
+  }
+  return ranges;
+};
+
+// ✅ Returns null when the bill doesn't match, otherwise { field: [[start, end], ...] } for highlighting
+export const matchBill = (bill, rawQuery) => {
+  const query = String(rawQuery || "").trim().toLowerCase();
+  if (!query) return {};
+
+  const matches = {};
+  if (isNumericQuery(query)) {
+    const digits = query.replace(/\D/g, "");
+    ["consumerNumber", "mobileNo", "billingUnit"].forEach((field) => {
+      const range = matchNumber(bill[field], digits);
+      if (range) matches[field] = [range];
+    });
+  } else {
+    const tokens = query.split(/\s+/);
+    const nameRanges = matchName(bill.name, tokens);
+    if (nameRanges) matches.name = nameRanges;
+
+    const unit = String(bill.billingUnit || "").toLowerCase();
+    const at = unit.indexOf(query);
+    if (at >= 0) matches.billingUnit = [[at, at + query.length]];
+  }
+
+  return Object.keys(matches).length ? matches : null;
+};
@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { matchBill } from "./searchBills.js";
+
+const bill = { name: "Ramesh Sharma", consumerNumber: "170012345678", mobileNo: "+91 98765 43210", billingUnit: "4637 Kothrud" };
+
+describe("matchBill", () => {
+  it("matches number prefixes only", () => {
+    expect(matchBill(bill, "1700")).toEqual({ consumerNumber: [[0, 4]] });
+    expect(matchBill(bill, "2345")).toBeNull();
+  });
+
+  it("matches mobile numbers with or without the country code", () => {
+    expect(matchBill(bill, "98765")).toEqual({ mobileNo: [[4, 9]] });
+  });
+
+  it("tolerates a typo in longer name words", () => {
+    expect(matchBill(bill, "sahrma")).toEqual({ name: [[7, 13]] });
+    expect(matchBill(bill, "ram shar")).toEqual({ name: [[0, 3], [7, 11]] });
+    expect(matchBill(bill, "rxm")).toBeNull();
+  });
+
+  it("matches billing units by substring", () => {
+    expect(matchBill(bill, "kothrud")).toEqual({ billingUnit: [[5, 12]] });
+  });
+
+  it("treats an empty query as matching everything", () => {
+    expect(matchBill(bill, "  ")).toEqual({});
+  });
+});
@@ -0,0 +1,61 @@
+// ✅ Sort spec shared by the card grid and the table: [{ key, dir: "asc" | "desc" }], first entry wins
+
+export const MAX_SORT_LEVELS = 3;
+
+// Every key the backend sorts on. `daysOverdue` is derived server-side from billDueDate (0 when not yet due),
+// `promptSavings` from billAmount − billAmountWithPromptDiscount;
+// priority "asc" means P1 → P2 → P3 → none.
+export const SORT_FIELDS = [
+  { key: "billDueDate", label: "Due Date", asc: "Nearest first", desc: "Furthest first" },
+  { key: "daysOverdue", label: "Days Overdue", asc: "Least overdue", desc: "Most overdue" },
+  { key: "promptPaymentDate", label: "Prompt Payment Date", asc: "Closing soonest", desc: "Closing last" },
+  { key: "promptSavings", label: "Prompt Discount", asc: "Smallest first", desc: "Largest first" },
+  { key: "followUpAt", label: "Follow-up", asc: "Soonest first", desc: "Latest first" },
+  { key: "billDate", label: "Bill Date", asc: "Oldest first", desc: "Newest first" },
+  { key: "amountToPay", label: "Amount To Pay", asc: "Low to High", desc: "High to Low" },
+  { key: "billAmount", label: "Bill Amount", asc: "Low to High", desc: "High to Low" },
+  { key: "consumption", label: "Consumption Units", asc: "Low to High", desc: "High to Low" },
+  { key: "name", label: "Customer Name", asc: "A → Z", desc: "Z → A" },
+  { key: "status", label: "Status", asc: "A → Z", desc: "Z → A" },
+  { key: "priority", label: "Priority", asc: "P1 first", desc: "Lowest first" },
+];
+
+// Work the bills that hurt most first: longest overdue, then highest priority, then next due
+export const URGENT_SORT = [
+  { key: "daysOverdue", dir: "desc" },
+  { key: "priority", dir: "asc" },
+  { key: "billDueDate", dir: "asc" },
+];
+
+// Discount windows closing soonest first, biggest savings breaking ties
+export const PROMPT_SORT = [
+  { key: "promptPaymentDate", dir: "asc" },
+  { key: "promptSavings", dir: "desc" },
+];
+
+export const serializeSort = (sortBy) => sortBy.map(({ key, dir }) => `${key}:${dir}`).join(",");
+
+// "billDueDate:asc,name:desc" → [{ key, dir }], dropping anything the backend wouldn't understand
+export const parseSort = (text) =>
+  String(text || "")
+    .split(",")
+    .map((part) => {
+      const [key, dir] = part.split(":");
+      return { key, dir: dir === "desc" ? "desc" : "asc" };
+    })
+    .filter((s) => SORT_FIELDS.some((f) => f.key === s.key));
+
+// Header click: plain click makes `key` the only sort (flipping direction if it already was);
+// additive (shift) click appends it as a secondary key, flips it, then removes it on the third click
+export const toggleSort = (sortBy, key, additive = false) => {
+  const existing = sortBy.find((s) => s.key === key);
+
+  if (!additive) {
+    if (sortBy.length === 1 && existing) return [{ key, dir: existing.dir === "asc" ? "desc" : "asc" }];
+    return [{ key, dir: "asc" }];
+  }
+
+  if (!existing) return [...sortBy, { key, dir: "asc" }];
+  if (existing.dir === "asc") return sortBy.map((s) => (s.key === key ? { key, dir: "desc" } : s));
+  return sortBy.filter((s) => s.key !== key);
+};
@@ -0,0 +1,20 @@
+import { describe, expect, it } from "vitest";
+import { parseSort, serializeSort, toggleSort } from "./sortBills.js";
+
+describe("sort specs", () => {
+  it("round-trips through the query string and drops unknown keys", () => {
+    const sortBy = [{ key: "billDueDate", dir: "asc" }, { key: "name", dir: "desc" }];
+    expect(parseSort(serializeSort(sortBy))).toEqual(sortBy);
+    expect(parseSort("bogus:asc,amountToPay:sideways")).toEqual([{ key: "amountToPay", dir: "asc" }]);
+  });
+
+  it("flips on a plain click and cycles an additive key asc → desc → off", () => {
+    expect(toggleSort([{ key: "name", dir: "asc" }], "name")).toEqual([{ key: "name", dir: "desc" }]);
+    const base = [{ key: "name", dir: "asc" }];
+    const added = toggleSort(base, "billAmount", true);
+    expect(added).toEqual([...base, { key: "billAmount", dir: "asc" }]);
+    const flipped = toggleSort(added, "billAmount", true);
+    expect(flipped[1].dir).toBe("desc");
+    expect(toggleSort(flipped, "billAmount", true)).toEqual(base);
+  });
+});
@@ -0,0 +1,19 @@
+import axios from "axios";
+
+// ✅ Bills are soft-deleted: DELETE /api/bills/:id (and the batch "delete" action) only sets
+// `deletedAt`, hiding the bill from /api/bills until it is restored or purged from the Trash.
+export const trashBill = (id) => axios.delete(`/api/bills/${id}`);
+
+export const restoreBill = (id) => axios.post(`/api/bills/${id}/restore`);
+
+// Permanent — there is no way back after this
+export const purgeBill = (id) => axios.delete(`/api/bills/${id}/purge`);
+
+export const emptyTrash = () => axios.delete("/api/bills/trash");
+
+// Newest deletions first
+export const fetchTrash = async () => {
+  const res = await axios.get("/api/bills/trash");
+  const bills = res.data?.data || res.data || [];
+  return [...bills].sort((a, b) => new Date(b.deletedAt || 0) - new Date(a.deletedAt || 0));
+};
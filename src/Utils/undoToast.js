@@ -0,0 +1,19 @@
+import Swal from "sweetalert2";
+
+export const UNDO_TIMEOUT_MS = 6000;
+
+// ✅ Corner toast with an "Undo" button; calls onUndo if it is clicked before the toast times out
+export const showUndoToast = async (title, onUndo) => {
+  const result = await Swal.fire({
+    icon: "success",
+    title,
+    toast: true,
+    position: "top-end",
+    timer: UNDO_TIMEOUT_MS,
+    timerProgressBar: true,
+    showConfirmButton: true,
+    confirmButtonText: "Undo",
+    confirmButtonColor: "#3b82f6",
+  });
+  if (result.isConfirmed) onUndo();
+};